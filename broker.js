@@ -6,12 +6,21 @@
  * Este servidor roda na sua rede e gerencia a comunicação
  * entre múltiplas instâncias do Claude Code via MCP.
  *
- * Uso: node broker.js [porta]
- * Padrão: porta 4800
+ * Uso: node broker.js [porta] [--data-dir <dir>] [--mailbox-retention <horas>] [--audit-log <arquivo>]
+ * Padrão: porta 4800, estado apenas em memória
  */
 
 import express from 'express';
+import { z } from 'zod';
 import readline from 'readline';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import {
+  closeSync, existsSync, fstatSync, fsyncSync, ftruncateSync, mkdirSync,
+  openSync, readdirSync, readFileSync, renameSync, unlinkSync, writeFileSync, writeSync
+} from 'fs';
+import { open } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
 
 // ══════════════════════════════════════════════
 // Handlers globais de erro
@@ -31,9 +40,27 @@ process.on('unhandledRejection', (reason) => {
 });
 
 const app = express();
-app.use(express.json({ limit: '5mb' }));
 
-const _rawPort = process.env.BROKER_PORT || process.argv[2] || 4800;
+// Argumentos de linha de comando: posicionais (porta) e flags --nome valor / --nome=valor
+const cliFlags = {};
+const cliPositional = [];
+{
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) { cliPositional.push(arg); continue; }
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      cliFlags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      cliFlags[arg.slice(2)] = args[++i];
+    } else {
+      cliFlags[arg.slice(2)] = true;
+    }
+  }
+}
+
+const _rawPort = process.env.BROKER_PORT || cliPositional[0] || 4800;
 const PORT = Number(_rawPort);
 if (!Number.isInteger(PORT) || PORT < 1 || PORT > 65535) {
   _error(`[ERRO] Porta inválida: "${_rawPort}". Use um número entre 1 e 65535.`);
@@ -48,16 +75,140 @@ const MAX_MESSAGES_PER_AGENT    = 200;
 const MAX_AGENTS                = 100;
 const MAX_CONTEXT_KEYS          = 1000;
 const MAX_CONTEXT_VALUE_SIZE    = 100 * 1024; // 100 KB
+const MAX_CONTEXT_REVISIONS     = 10;        // revisões guardadas por chave (inclui a atual)
+const MAX_CONTEXT_TOMBSTONES    = 10_000;    // última versão de chaves apagadas (as mais antigas são esquecidas)
+const MAX_CONTEXT_TTL_SECONDS   = 30 * 24 * 3600; // 30 dias
+const CONTEXT_SWEEP_INTERVAL_MS = 10_000;
 const MAX_MESSAGE_CONTENT_SIZE  = 512 * 1024; // 512 KB por mensagem
+const MAX_TRACKED_MESSAGES      = 10_000;    // status de entrega guardados (mais antigos descartados)
+const MAX_DEAD_LETTERS          = 1000;      // mensagens não entregues guardadas (mais antigas descartadas)
+const MAX_RECENT_TRAFFIC        = 100;       // últimas entregas mostradas no dashboard
+const MAX_CHANNELS              = 200;
+const MAX_LOCKS                 = 500;
+const DEFAULT_LOCK_TTL_SECONDS  = 300;
+const MAX_LOCK_TTL_SECONDS      = 3600;
+const LOCK_SWEEP_INTERVAL_MS    = 5_000;
+const MAX_TASKS                 = 1000;      // concluídas/falhas mais antigas são descartadas primeiro
+const MAX_TASK_TEXT_SIZE        = 64 * 1024; // descrição / resultado
+const MAX_TASK_NOTE_SIZE        = 2 * 1024;  // nota de progresso
+const MAX_TASK_PROGRESS         = 50;        // notas de progresso guardadas por tarefa (as mais recentes)
+const MAX_THREADS               = 500;       // threads menos recentes são descartadas
+const MAX_THREAD_MESSAGES       = 500;       // histórico por thread (mais antigas descartadas)
+const MAX_AGENT_LABELS          = 32;        // capabilities / tags por agente
+const MAX_AGENT_DESCRIPTION     = 500;
+const MAX_BLOB_SIZE             = 10 * 1024 * 1024;  // 10 MB por arquivo
+const MAX_BLOB_STORAGE          = 200 * 1024 * 1024; // 200 MB somando todos os blobs
+const MAX_BLOBS                 = 1000;
+const DEFAULT_BLOB_TTL_SECONDS  = 24 * 3600;
+const MAX_BLOB_TTL_SECONDS      = 7 * 24 * 3600;
+const BLOB_SWEEP_INTERVAL_MS    = 60_000;
+const MAX_ATTACHMENTS           = 10;        // blobs por mensagem
+const MAX_SCHEDULES             = 500;
+const MAX_SCHEDULES_PER_AGENT   = 50;
+const MIN_SCHEDULE_INTERVAL     = 60;        // segundos entre repetições
+const MAX_SCHEDULE_HORIZON      = 30 * 24 * 3600; // segundos: atraso e intervalo máximos (30 dias)
+const SCHEDULE_TICK_MS          = 1_000;
 const STALE_AGENT_THRESHOLD_MS  = 90_000;    // 3 heartbeats perdidos (heartbeat = 30s)
+const MAX_MAILBOXES             = 500;       // caixas postais de agentes offline (mais antigas descartadas)
+const STREAM_KEEPALIVE_MS       = 15_000;    // ping nos streams SSE (evita timeout de proxies)
+
+// Retenção da caixa postal de agentes offline, em horas
+// (--mailbox-retention <horas> ou BROKER_MAILBOX_RETENTION_HOURS).
+// 0 desativa: a fila é apagada junto com o agente.
+const _rawRetention = cliFlags['mailbox-retention'] ?? process.env.BROKER_MAILBOX_RETENTION_HOURS ?? 24;
+const MAILBOX_RETENTION_HOURS = Number(_rawRetention);
+if (!Number.isFinite(MAILBOX_RETENTION_HOURS) || MAILBOX_RETENTION_HOURS < 0) {
+  console.error(`[ERRO] Retenção de caixa postal inválida: "${_rawRetention}". Use um número de horas >= 0.`);
+  process.exit(1);
+}
+const MAILBOX_RETENTION_MS = MAILBOX_RETENTION_HOURS * 3600_000;
 
 // ══════════════════════════════════════════════
 // Estado em memória
 // ══════════════════════════════════════════════
 
-const agents        = new Map(); // agentId -> { name, project, path, registeredAt, lastSeen }
-const messages      = new Map(); // agentId -> [ { id, from, fromName, content, type, timestamp, read } ]
-const sharedContext = new Map(); // key -> { value, setBy, setByName, timestamp }
+const agents        = new Map(); // agentId -> { name, project, path, capabilities, tags, description, status, statusNote, statusSince, registeredAt, lastSeen }
+const messages      = new Map(); // agentId -> [ { id, from, fromName, content, type, timestamp, read, priority?, replyTo?, correlationId?, threadId?, channel?, taskId?, scheduleId?, receiptFor?, presence?, attachments?, payload? } ]
+const sharedContext = new Map(); // key -> { value, setBy, setByName, timestamp, version, expiresAt?, ephemeral? }
+const contextHistory = new Map(); // key -> [ revisões anteriores + atual, mais antiga primeiro ]
+const contextTombstones = new Map(); // key -> última versão antes de ser apagada (em ordem de remoção)
+const agentTokens   = new Map(); // sha256(token) -> agentId (apenas com autenticação ativa)
+const streams       = new Map(); // agentId -> Set<res> (conexões SSE abertas; não persistido)
+const threads       = new Map(); // threadId -> { participants, createdAt, updatedAt, messages: [ { ...msg, to } ] }
+const channels      = new Map(); // canal -> Set<agentId> (canais sem inscritos são removidos)
+const locks         = new Map(); // nome -> { holder, holderName, acquiredAt, expiresAt, waiters: [agentId] }
+const tasks         = new Map(); // taskId -> { id, title, description, capability, priority, status, claimedBy, progress, result, ... }
+const offlineAgents = new Map(); // agentId -> { ...info do agente, offlineSince } (caixa postal guardada)
+const deadLetters   = new Map(); // messageId -> { ...msg sem read, to, reason, deadAt }
+const recentTraffic = [];        // [ { id, from, fromName, to, type, channel?, preview, timestamp } ] (dashboard; não persistido)
+const messageStatus = new Map(); // messageId -> { messageId, from, to, state, reason?, queuedAt, deliveredAt?, readAt?, updatedAt, receipt? }
+const blobs         = new Map(); // sha256 -> { id, name, size, mimeType, uploadedBy, uploadedAt, expiresAt }
+const messageTypes  = new Map(); // nome -> { name, description, schema (JSON Schema), registeredBy, registeredAt } (só customizados)
+const schedules     = new Map(); // scheduleId -> { id, from, fromName, to ('*' = todos), content, type, payload?, priority?, intervalSeconds?, cron?, maxRuns?, runs, nextRunAt, lastRunAt, createdAt }
+const blobData      = new Map(); // sha256 -> Buffer (só sem --data-dir; com ele o conteúdo fica em disco)
+const searchDocs    = new Map(); // texto indexado -> { text, terms: Map<termo, ocorrências>, refs: Map<mensagem | contexto, { kind, to | key }> } (não persistido)
+const searchRefs    = new Map(); // mensagem ou entrada de contexto -> doc de searchDocs
+const searchIndex   = new Map(); // termo -> Set<doc> (índice invertido)
+
+let tailTraffic = false;         // /tail no console: ecoa cada entrega registrada em recentTraffic
+
+// ══════════════════════════════════════════════
+// Métricas (formato de texto do Prometheus, servido em GET /metrics)
+// Contadores vivem só em memória e zeram a cada início (o Prometheus
+// trata o reset). Gauges — filas, contexto, agentes — são calculados na
+// hora do scrape. Operações reaplicadas do journal não contam.
+// ══════════════════════════════════════════════
+
+const METRICS = {
+  skvil_messages_sent_total:            ['counter',   'Mensagens diretas enviadas, por remetente e tipo'],
+  skvil_messages_broadcast_total:       ['counter',   'Broadcasts e publicações em canal, por remetente e tipo'],
+  skvil_messages_acked_total:           ['counter',   'Mensagens confirmadas (ACK), por destinatário e tipo'],
+  skvil_messages_dropped_total:         ['counter',   'Mensagens enviadas para a dead-letter queue, por destinatário, tipo e motivo'],
+  skvil_agent_registrations_total:      ['counter',   'Registros de agentes (inclui re-registros)'],
+  skvil_reaper_evictions_total:         ['counter',   'Remoções feitas pelo reaper: agentes inativos e caixas postais vencidas'],
+  skvil_payload_rejections_total:       ['counter',   'Requisições recusadas com 413 (payload acima do limite), por rota'],
+  skvil_http_requests_total:            ['counter',   'Requisições HTTP, por método, rota e status'],
+  skvil_http_request_duration_seconds:  ['histogram', 'Latência das requisições HTTP, por método e rota'],
+  skvil_agents:                         ['gauge',     'Agentes registrados (online) e com caixa postal (offline)'],
+  skvil_queue_depth:                    ['gauge',     'Mensagens não lidas na fila de cada agente'],
+  skvil_context_keys:                   ['gauge',     'Chaves de contexto compartilhado'],
+  skvil_context_bytes:                  ['gauge',     'Tamanho total dos valores de contexto (JSON, bytes)'],
+  skvil_dead_letters:                   ['gauge',     'Mensagens na dead-letter queue'],
+  skvil_schedules:                      ['gauge',     'Agendamentos pendentes (únicos e recorrentes)'],
+  skvil_uptime_seconds:                 ['gauge',     'Tempo desde o início do broker']
+};
+
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metricCounters = new Map(); // nome -> Map<labels serializados, valor>
+const httpDurations  = new Map(); // labels serializados -> { labels, buckets: [contagem por bucket], sum, count }
+
+function metricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+function incMetric(name, labels = {}, by = 1) {
+  if (replaying) return;
+  if (!metricCounters.has(name)) metricCounters.set(name, new Map());
+  const series = metricCounters.get(name);
+  const key = metricLabels(labels);
+  series.set(key, (series.get(key) || 0) + by);
+}
+
+function observeHttpDuration(labels, seconds) {
+  const key = metricLabels(labels);
+  let series = httpDurations.get(key);
+  if (!series) {
+    series = { labels, buckets: HTTP_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    httpDurations.set(key, series);
+  }
+  HTTP_DURATION_BUCKETS.forEach((le, i) => { if (seconds <= le) series.buckets[i]++; });
+  series.sum += seconds;
+  series.count++;
+}
 
 // ══════════════════════════════════════════════
 // Console interativo — intercepta console.log/error/warn
@@ -83,288 +234,3383 @@ console.warn  = (...args) => _rlWrite(_warn, args);
 // Helper: enfileira mensagem com cap automático
 // Usado por todos os paths de envio para garantir
 // que o limite de 200 mensagens seja sempre aplicado.
+// Com a fila cheia saem primeiro as já lidas, depois as de menor
+// prioridade — e, dentro da mesma prioridade, as mais antigas.
 // ══════════════════════════════════════════════
 
-function enqueue(agentId, msg) {
+// priority ausente = normal (só é gravada na mensagem quando difere)
+const MESSAGE_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+function priorityRank(msg) {
+  return MESSAGE_PRIORITIES.indexOf(msg.priority || 'normal');
+}
+
+function parsePriority(priority = 'normal') {
+  if (!MESSAGE_PRIORITIES.includes(priority)) {
+    return { error: `priority deve ser um de: ${MESSAGE_PRIORITIES.join(', ')}` };
+  }
+  return { priority };
+}
+
+// Maior prioridade primeiro; FIFO dentro da mesma prioridade (sort é estável)
+function byPriority(list) {
+  return [...list].sort((a, b) => priorityRank(b) - priorityRank(a));
+}
+
+// receipt=true: o remetente recebe uma mensagem do broker quando esta for
+// lida, descartada ou expirar (ver setMessageStatus).
+function enqueue(agentId, msg, receipt = false) {
+  journal('msg.enqueue', { agentId, msg, ...(receipt && { receipt }) });
+  if (replaying) lastReplayedMessage = msg;
   if (!messages.has(agentId)) messages.set(agentId, []);
   const queue = messages.get(agentId);
   queue.push(msg);
+  trackMessage(agentId, msg, receipt);
+  if (!replaying) recordTraffic(agentId, msg);
+
+  let dropped = [];
   if (queue.length > MAX_MESSAGES_PER_AGENT) {
-    const dropped = queue.length - MAX_MESSAGES_PER_AGENT;
-    queue.splice(0, dropped);
-    console.log(`  ⚠️  Fila de "${agentId}" cheia — ${dropped} mensagem(ns) antiga(s) descartada(s)`);
+    const victims = new Set(queue
+      .map((m, index) => ({ m, index }))
+      .sort((a, b) => (b.m.read - a.m.read) || (priorityRank(a.m) - priorityRank(b.m)) || (a.index - b.index))
+      .slice(0, queue.length - MAX_MESSAGES_PER_AGENT)
+      .map(({ m }) => m));
+    dropped = queue.filter(m => victims.has(m));
+    queue.splice(0, queue.length, ...queue.filter(m => !victims.has(m)));
+  }
+
+  for (const m of dropped) unindexSearchDoc(m);
+  // A própria mensagem pode ter sido a descartada (fila cheia de prioridade maior)
+  if (!dropped.includes(msg)) {
+    indexMessage(agentId, msg);
+    pushEvent(agentId, 'message', msg);
+    // Com stream aberto a mensagem já chegou ao destinatário
+    if (!replaying && streams.has(agentId)) markDelivered(agentId, [msg]);
+  }
+  for (const m of dropped) {
+    if (m.read) continue;
+    setMessageStatus(m.id, 'dropped', 'queue_full', msg.timestamp);
+    addDeadLetter(agentId, m, 'queue_full', msg.timestamp, false);
+  }
+  if (dropped.length > 0 && !replaying) {
+    const highest = MESSAGE_PRIORITIES[Math.max(...dropped.map(priorityRank))];
+    console.log(`  ⚠️  Fila de "${agentId}" cheia — ${dropped.length} mensagem(ns) descartada(s) (prioridade até ${highest})`);
+  }
+}
+
+function recordTraffic(agentId, msg) {
+  recentTraffic.push({
+    id: msg.id,
+    from: msg.from,
+    fromName: msg.fromName,
+    to: agentId,
+    type: msg.type,
+    ...(msg.priority && { priority: msg.priority }),
+    ...(msg.channel && { channel: msg.channel }),
+    preview: msg.content.length > 200 ? msg.content.slice(0, 200) + '...' : msg.content,
+    timestamp: msg.timestamp
+  });
+  if (recentTraffic.length > MAX_RECENT_TRAFFIC) recentTraffic.shift();
+  if (tailTraffic) {
+    const text = msg.content.length > 80 ? msg.content.slice(0, 80) + '...' : msg.content;
+    console.log(`  👀 ${msg.fromName} → ${agentName(agentId)}${msg.channel ? ` #${msg.channel}` : ''} [${msg.type}${msg.priority ? `, ${msg.priority}` : ''}]: ${text}`);
   }
 }
 
 // ══════════════════════════════════════════════
-// Middleware de log
+// Helper: push de eventos via Server-Sent Events
+// No-op se o agente não tiver stream aberto — a mensagem continua
+// na fila e pode ser lida via GET /messages/:agentId.
 // ══════════════════════════════════════════════
 
-app.use((req, res, next) => {
-  // Silencia polling de alta frequência (heartbeats e leitura de mensagens)
-  const isPolling =
-    (req.method === 'GET'  && req.path.startsWith('/messages/')) ||
-    (req.method === 'POST' && req.path.endsWith('/heartbeat'));
-  if (!isPolling) {
-    const ts = new Date().toLocaleTimeString('pt-BR');
-    const safePath = req.originalUrl.replace(/[\x00-\x1f\x7f]/g, '');
-    console.log(`[${ts}] ${req.method} ${safePath}`);
+function pushEvent(agentId, event, data) {
+  const conns = streams.get(agentId);
+  if (!conns) return;
+  const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of conns) res.write(frame);
+}
+
+function pushEventToAll(event, data, exceptId) {
+  for (const agentId of streams.keys()) {
+    if (agentId !== exceptId) pushEvent(agentId, event, data);
   }
-  next();
-});
+}
+
+function closeStreams(agentId) {
+  const conns = streams.get(agentId);
+  if (!conns) return;
+  streams.delete(agentId);
+  for (const res of conns) res.end();
+}
 
 // ══════════════════════════════════════════════
-// Rotas: Registro de Agentes
+// Helpers de mutação de estado
+// Toda alteração em agents/messages/sharedContext passa por aqui
+// (ou por enqueue) para que o journal registre a operação antes
+// de aplicá-la. O replay na inicialização reusa as mesmas funções.
 // ══════════════════════════════════════════════
 
-app.post('/agents/register', (req, res) => {
-  const { agentId, name, project, path } = req.body;
-  if (!agentId || !name) {
-    return res.status(400).json({ error: 'agentId e name são obrigatórios' });
-  }
-  if (typeof agentId !== 'string' || typeof name !== 'string') {
-    return res.status(400).json({ error: 'agentId e name devem ser strings' });
+function registerAgent(agentId, info, tokenHash) {
+  journal('agent.register', { agentId, info, tokenHash });
+  const previous = agents.get(agentId);
+  agents.set(agentId, info);
+  // Volta de offline: a fila guardada na caixa postal continua em messages
+  offlineAgents.delete(agentId);
+  if (!messages.has(agentId)) messages.set(agentId, []);
+  if (tokenHash) {
+    // Re-registro rotaciona a credencial — a anterior deixa de valer
+    revokeAgentTokens(agentId);
+    agentTokens.set(tokenHash, agentId);
   }
-  if (agentId.length > 64 || name.length > 128) {
-    return res.status(400).json({ error: 'agentId (máx 64) ou name (máx 128) excede o limite' });
+  if (!previous) {
+    announcePresence(agentId, info, 'online');
+  } else if ((previous.status || 'online') !== info.status || (previous.statusNote || '') !== (info.statusNote || '')) {
+    announcePresence(agentId, info, 'status');
   }
+}
 
-  if (!agents.has(agentId) && agents.size >= MAX_AGENTS) {
-    return res.status(429).json({ error: `Limite de ${MAX_AGENTS} agentes atingido` });
+// keepMailbox=true: o agente fica offline mas a fila é guardada (store-and-forward)
+// até ele se registrar de novo ou a retenção vencer. Chamado para um agente já
+// offline com keepMailbox=false, descarta a caixa postal.
+function removeAgent(agentId, at = new Date().toISOString(), keepMailbox = false) {
+  const online = agents.has(agentId);
+  if (!online && (keepMailbox || !messages.has(agentId))) return false;
+  journal('agent.remove', { agentId, at, ...(keepMailbox && { mailbox: true }) });
+  const info = agents.get(agentId) || offlineAgents.get(agentId);
+  if (keepMailbox) {
+    offlineAgents.set(agentId, { ...info, status: 'offline', statusNote: '', statusSince: at, offlineSince: at });
+  } else {
+    // Antes de remover o registro: o recibo ao remetente usa o nome do agente
+    const reason = online ? 'recipient_removed' : 'mailbox_discarded';
+    for (const msg of messages.get(agentId) || []) {
+      unindexSearchDoc(msg);
+      if (msg.read) continue;
+      setMessageStatus(msg.id, 'expired', reason, at);
+      addDeadLetter(agentId, msg, reason, at, false);
+    }
+    messages.delete(agentId);
+    offlineAgents.delete(agentId);
   }
+  const existed = agents.delete(agentId);
+  revokeAgentTokens(agentId);
+  closeStreams(agentId);
+  for (const channel of [...channels.keys()]) unsubscribeChannel(channel, agentId, false);
+  // No replay as operações lock.* / task.* / schedule.* resultantes já estão no journal logo em seguida
+  if (!replaying) {
+    releaseAgentLocks(agentId);
+    requeueAgentTasks(agentId);
+    // Com caixa postal o agente ainda pode voltar; sem ela, seus agendamentos morrem com ele
+    if (!keepMailbox) cancelAgentSchedules(agentId);
+  }
+  // Chaves efêmeras vivem enquanto o agente que as gravou estiver registrado
+  for (const [key, ctx] of sharedContext) {
+    if (ctx.ephemeral && ctx.setBy === agentId && deleteContext(key)) {
+      audit('context.delete', { agent: 'broker', key, reason: 'ephemeral' });
+    }
+  }
+  if (existed) {
+    announcePresence(agentId, { ...info, status: 'offline', statusNote: '' }, 'offline');
+  }
+  return existed;
+}
 
-  agents.set(agentId, {
-    name,
-    project: project || 'unknown',
-    path: path || '',
-    registeredAt: new Date().toISOString(),
-    lastSeen: new Date().toISOString()
-  });
+// Agente registrado ou offline com caixa postal — em ambos os casos aceita mensagens
+function hasMailbox(agentId) {
+  return agents.has(agentId) || offlineAgents.has(agentId);
+}
 
-  if (!messages.has(agentId)) {
-    messages.set(agentId, []);
-  }
+function agentName(agentId) {
+  return (agents.get(agentId) || offlineAgents.get(agentId))?.name || agentId;
+}
 
-  console.log(`  ✅ Agente registrado: ${name} (${agentId}) — projeto: ${project || 'N/A'}`);
-  res.json({ ok: true, agentId, totalAgents: agents.size });
-});
+// ── Presença ──
+// Entradas, saídas e mudanças de status vão como evento "presence" para todos
+// os streams e como mensagem do broker para os inscritos no canal reservado
+// "presence" (quem quer recebê-las na fila assina o canal).
 
-app.get('/agents', (req, res) => {
-  const list = [];
-  for (const [id, info] of agents) {
-    list.push({ agentId: id, ...info });
-  }
-  res.json({ agents: list });
-});
+const PRESENCE_CHANNEL = 'presence';
 
-app.post('/agents/:agentId/heartbeat', (req, res) => {
-  const agent = agents.get(req.params.agentId);
-  if (!agent) {
-    return res.status(404).json({ error: 'Agente não registrado' });
-  }
-  agent.lastSeen = new Date().toISOString();
-  res.json({ ok: true });
-});
+function announcePresence(agentId, info, state) {
+  const data = {
+    agentId,
+    name: info.name,
+    project: info.project,
+    state,
+    status: info.status,
+    ...(info.statusNote && { note: info.statusNote })
+  };
+  pushEventToAll('presence', data, agentId);
+  // As mensagens resultantes já estão no journal como msg.enqueue
+  if (replaying) return;
 
-app.delete('/agents/:agentId', (req, res) => {
-  const existed = agents.has(req.params.agentId);
-  agents.delete(req.params.agentId);
-  messages.delete(req.params.agentId);
-  if (existed) {
-    console.log(`  ❌ Agente removido: ${req.params.agentId}`);
+  const who = `${info.name} (${agentId})`;
+  const content = {
+    online:  `🟢 ${who} entrou — projeto: ${info.project}`,
+    offline: `🔴 ${who} saiu`,
+    status:  `🔄 ${who} agora está ${info.status}${info.statusNote ? ` — ${info.statusNote}` : ''}`
+  }[state];
+  for (const subscriber of channels.get(PRESENCE_CHANNEL) || []) {
+    if (subscriber === agentId) continue;
+    enqueue(subscriber, {
+      id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      from: 'broker',
+      fromName: 'Broker',
+      content,
+      type: 'text',
+      timestamp: new Date().toISOString(),
+      read: false,
+      channel: PRESENCE_CHANNEL,
+      presence: data
+    });
   }
-  res.json({ ok: true });
-});
+}
 
-// ══════════════════════════════════════════════
-// Rotas: Limpeza de mensagens
-// ══════════════════════════════════════════════
+function revokeAgentTokens(agentId) {
+  for (const [hash, owner] of agentTokens) {
+    if (owner === agentId) agentTokens.delete(hash);
+  }
+}
 
-app.delete('/messages/:agentId', (req, res) => {
-  const queue = messages.get(req.params.agentId);
-  if (!queue) {
-    return res.status(404).json({ error: 'Agente não encontrado' });
+// Retorna os IDs encontrados na fila (IDs desconhecidos são ignorados)
+function ackMessages(agentId, ids, at = new Date().toISOString()) {
+  const idSet    = new Set(ids);
+  const targets = (messages.get(agentId) || []).filter(m => idSet.has(m.id));
+  const ackedIds = targets.map(m => m.id);
+  if (targets.length > 0) journal('msg.ack', { agentId, ids: ackedIds, at });
+  for (const msg of targets) {
+    if (!msg.read) incMetric('skvil_messages_acked_total', { agent: agentId, type: msg.type });
+    msg.read = true;
+    // Avisa o remetente de que a mensagem foi lida
+    pushEvent(msg.from, 'ack', { messageId: msg.id, by: agentId });
+    setMessageStatus(msg.id, 'read', undefined, at);
   }
+  return ackedIds;
+}
+
+function clearMessages(agentId, at = new Date().toISOString()) {
+  const queue = messages.get(agentId);
+  if (!queue) return 0;
   const cleared = queue.length;
+  if (cleared > 0) journal('msg.clear', { agentId, at });
+  for (const msg of queue) {
+    unindexSearchDoc(msg);
+    if (msg.read) continue;
+    setMessageStatus(msg.id, 'dropped', 'cleared', at);
+    addDeadLetter(agentId, msg, 'cleared', at, false);
+  }
   queue.length = 0;
-  console.log(`  🗑️  Mensagens limpas: ${req.params.agentId} (${cleared} removida(s))`);
-  res.json({ ok: true, cleared });
-});
+  return cleared;
+}
 
-// ══════════════════════════════════════════════
-// Rotas: Mensagens diretas
-// ══════════════════════════════════════════════
+// ── Status de entrega ──
+// queued → delivered (lida via GET ou empurrada pelo stream) → read (ACK).
+// Estados finais alternativos: dropped (fila cheia / limpa pelo destinatário)
+// e expired (destinatário removido antes de ler).
 
-const VALID_MSG_TYPES = new Set(['text', 'code', 'schema', 'endpoint', 'config']);
+const MESSAGE_FINAL_STATES = new Set(['read', 'dropped', 'expired']);
 
-app.post('/messages/send', (req, res) => {
-  const { from, to, content, type } = req.body;
-  if (!from || !to || !content) {
-    return res.status(400).json({ error: 'from, to e content são obrigatórios' });
-  }
-  if (typeof from !== 'string' || typeof to !== 'string' || typeof content !== 'string') {
-    return res.status(400).json({ error: 'from, to e content devem ser strings' });
+function trackMessage(agentId, msg, receipt) {
+  const now = new Date().toISOString();
+  messageStatus.set(msg.id, {
+    messageId: msg.id,
+    from: msg.from,
+    to: agentId,
+    state: 'queued',
+    queuedAt: msg.timestamp || now,
+    updatedAt: now,
+    ...(receipt && { receipt })
+  });
+  while (messageStatus.size > MAX_TRACKED_MESSAGES) {
+    messageStatus.delete(messageStatus.keys().next().value);
   }
+}
 
-  if (!agents.has(from) && from !== 'broker') {
-    return res.status(400).json({ error: `Remetente "${from}" não registrado. Registre-se antes de enviar mensagens.` });
-  }
+function markDelivered(agentId, msgs, at = new Date().toISOString()) {
+  const ids = msgs
+    .filter(m => messageStatus.get(m.id)?.state === 'queued')
+    .map(m => m.id);
+  if (ids.length === 0) return;
+  journal('msg.deliver', { agentId, ids, at });
+  for (const id of ids) setMessageStatus(id, 'delivered', undefined, at);
+}
 
-  if (!agents.has(to)) {
-    return res.status(404).json({ error: `Agente "${to}" não encontrado` });
+// at: horário da transição — vem do journal no replay para preservar o original
+function setMessageStatus(messageId, state, reason, at = new Date().toISOString()) {
+  const status = messageStatus.get(messageId);
+  if (!status || status.state === state || MESSAGE_FINAL_STATES.has(status.state)) return;
+  status.state     = state;
+  status.updatedAt = at;
+  if (state === 'delivered') status.deliveredAt = at;
+  if (state === 'read') status.readAt = at;
+  if (reason) status.reason = reason;
+  if (!MESSAGE_FINAL_STATES.has(state)) return;
+
+  pushEvent(status.from, 'status', { messageId, to: status.to, state, ...(reason && { reason }) });
+  // O recibo em si é um msg.enqueue próprio no journal — não recriar no replay
+  if (status.receipt && !replaying && hasMailbox(status.from)) {
+    const toName = agentName(status.to);
+    const outcome = {
+      read:    'foi lida',
+      dropped: reason === 'cleared' ? 'foi descartada (fila limpa pelo destinatário)' : 'foi descartada (fila cheia)',
+      expired: reason === 'mailbox_discarded'
+        ? 'expirou (caixa postal do destinatário descartada antes da leitura)'
+        : 'expirou (destinatário saiu antes de ler)'
+    }[state];
+    enqueue(status.from, {
+      id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      from: 'broker',
+      fromName: 'Broker',
+      content: `📬 Sua mensagem ${messageId} para ${toName} ${outcome}.`,
+      type: 'text',
+      timestamp: new Date().toISOString(),
+      read: false,
+      receiptFor: messageId
+    });
   }
+}
 
-  if (Buffer.byteLength(content, 'utf8') > MAX_MESSAGE_CONTENT_SIZE) {
-    return res.status(413).json({ error: `Conteúdo excede o limite de ${MAX_MESSAGE_CONTENT_SIZE / 1024}KB por mensagem` });
+// ── Dead-letter queue ──
+// Mensagens que saíram de uma fila sem serem lidas (descartadas, expiradas) ou
+// que não tinham destinatário válido. journaled=false quando a entrada é
+// consequência de outra operação já registrada (enqueue, clear, remove).
+
+function addDeadLetter(to, msg, reason, at = new Date().toISOString(), journaled = true) {
+  if (journaled) journal('dlq.add', { to, msg, reason, at });
+  incMetric('skvil_messages_dropped_total', { agent: to, type: msg.type, reason });
+  const { read, ...rest } = msg;
+  deadLetters.delete(msg.id);
+  deadLetters.set(msg.id, { ...rest, to, reason, deadAt: at });
+  while (deadLetters.size > MAX_DEAD_LETTERS) {
+    deadLetters.delete(deadLetters.keys().next().value);
   }
+}
 
-  const msgType = VALID_MSG_TYPES.has(type) ? type : 'text';
+function removeDeadLetters(ids) {
+  const existing = ids.filter(id => deadLetters.has(id));
+  if (existing.length === 0) return 0;
+  journal('dlq.remove', { ids: existing });
+  for (const id of existing) deadLetters.delete(id);
+  return existing.length;
+}
 
-  const msg = {
+// Devolve a mensagem a uma fila (a original ou "to"), com o mesmo ID.
+// Retorna o destinatário, ou null se ele não existir.
+function redeliverDeadLetter(id, to) {
+  const letter = deadLetters.get(id);
+  const target = to || letter?.to;
+  if (!letter || !hasMailbox(target)) return null;
+  const { to: _to, reason, deadAt, ...msg } = letter;
+  const receipt = messageStatus.get(id)?.receipt === true;
+  removeDeadLetters([id]);
+  enqueue(target, { ...msg, read: false }, receipt);
+  return target;
+}
+
+// journaled=false quando a remoção já é consequência de outra operação registrada
+// (ex: agent.remove), para não duplicar entradas no journal.
+function subscribeChannel(channel, agentId) {
+  if (channels.get(channel)?.has(agentId)) return false;
+  journal('channel.subscribe', { channel, agentId });
+  if (!channels.has(channel)) channels.set(channel, new Set());
+  channels.get(channel).add(agentId);
+  return true;
+}
+
+function unsubscribeChannel(channel, agentId, journaled = true) {
+  const subs = channels.get(channel);
+  if (!subs?.has(agentId)) return false;
+  if (journaled) journal('channel.unsubscribe', { channel, agentId });
+  subs.delete(agentId);
+  if (subs.size === 0) channels.delete(channel);
+  return true;
+}
+
+// Leases: putLock/deleteLock são as únicas mutações journaled; transições
+// (expirar, liberar, passar para o próximo da fila) são compostas delas.
+function putLock(name, lock) {
+  journal('lock.put', { name, lock });
+  locks.set(name, lock);
+}
+
+function deleteLock(name) {
+  if (!locks.has(name)) return false;
+  journal('lock.delete', { name });
+  return locks.delete(name);
+}
+
+function grantLock(name, agentId, ttlSeconds, waiters = []) {
+  const now  = Date.now();
+  const lock = {
+    holder: agentId,
+    holderName: agents.get(agentId)?.name || agentId,
+    acquiredAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
+    ttlSeconds,
+    waiters
+  };
+  putLock(name, lock);
+  return lock;
+}
+
+function renewLock(name, lock, ttlSeconds) {
+  const renewed = { ...lock, ttlSeconds, expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString() };
+  putLock(name, renewed);
+  return renewed;
+}
+
+// Libera o lock e o entrega ao primeiro da fila que ainda estiver registrado,
+// avisando-o por mensagem (e evento "lock" no stream).
+function releaseLock(name, reason) {
+  const lock = locks.get(name);
+  if (!lock) return;
+  const waiters = lock.waiters.filter(id => agents.has(id));
+  const next    = waiters.shift();
+  if (!next) {
+    deleteLock(name);
+    console.log(`  🔓 Lock "${name}" liberado (${reason})`);
+    return;
+  }
+  const granted = grantLock(name, next, lock.ttlSeconds || DEFAULT_LOCK_TTL_SECONDS, waiters);
+  console.log(`  🔒 Lock "${name}" passou de ${lock.holderName} para ${granted.holderName} (${reason})`);
+  pushEvent(next, 'lock', { name, state: 'granted', expiresAt: granted.expiresAt });
+  enqueue(next, {
     id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-    from,
-    fromName: agents.get(from)?.name || from,
-    content,
-    type: msgType,
+    from: 'broker',
+    fromName: 'Broker',
+    content: `🔒 Você estava na fila e agora detém o lock "${name}" até ${granted.expiresAt}. Libere com sp_unlock quando terminar.`,
+    type: 'text',
     timestamp: new Date().toISOString(),
     read: false
-  };
-
-  enqueue(to, msg);
-  const preview = content.length > 80 ? content.slice(0, 80) + '...' : content;
-  console.log(`  💬 ${msg.fromName} → ${agents.get(to)?.name || to}: ${preview}`);
-  res.json({ ok: true, messageId: msg.id });
-});
+  });
+}
 
-// Broadcast — enviar para todos os agentes (exceto o remetente)
-app.post('/messages/broadcast', (req, res) => {
-  const { from, content, type } = req.body;
-  if (!from || !content) {
-    return res.status(400).json({ error: 'from e content são obrigatórios' });
+function releaseAgentLocks(agentId) {
+  for (const [name, lock] of [...locks]) {
+    if (lock.holder === agentId) {
+      releaseLock(name, `${agentId} saiu`);
+    } else if (lock.waiters.includes(agentId)) {
+      putLock(name, { ...lock, waiters: lock.waiters.filter(id => id !== agentId) });
+    }
   }
-  if (typeof from !== 'string' || typeof content !== 'string') {
-    return res.status(400).json({ error: 'from e content devem ser strings' });
+}
+
+function isLockExpired(lock, now = Date.now()) {
+  return Date.parse(lock.expiresAt) <= now;
+}
+
+// Tarefas: putTask/deleteTask são as únicas mutações journaled
+function putTask(task) {
+  journal('task.put', { task });
+  tasks.set(task.id, task);
+}
+
+// putTask regrava a tarefa inteira no journal a cada atualização: o histórico
+// de progresso fica limitado às últimas MAX_TASK_PROGRESS notas
+function withProgress(task, entry) {
+  const note = entry.note.length > MAX_TASK_NOTE_SIZE ? entry.note.slice(0, MAX_TASK_NOTE_SIZE) + '…' : entry.note;
+  return [...task.progress, { ...entry, note }].slice(-MAX_TASK_PROGRESS);
+}
+
+function deleteTask(id) {
+  if (!tasks.has(id)) return false;
+  journal('task.delete', { id });
+  return tasks.delete(id);
+}
+
+// Agendamentos: cada disparo é um enqueue comum seguido de putSchedule
+// (próxima execução) ou deleteSchedule (última)
+function putSchedule(schedule) {
+  journal('schedule.put', { schedule });
+  schedules.set(schedule.id, schedule);
+}
+
+function deleteSchedule(id) {
+  if (!schedules.has(id)) return false;
+  journal('schedule.delete', { id });
+  return schedules.delete(id);
+}
+
+// Tarefas em andamento de um agente que saiu voltam para a fila
+function requeueAgentTasks(agentId) {
+  for (const task of tasks.values()) {
+    if (task.claimedBy !== agentId || !TASK_ACTIVE_STATUSES.has(task.status)) continue;
+    putTask({
+      ...task,
+      status: 'open',
+      claimedBy: null,
+      claimedByName: null,
+      claimedAt: null,
+      updatedAt: new Date().toISOString(),
+      progress: withProgress(task, { at: new Date().toISOString(), by: 'broker', note: `Devolvida à fila: ${agentId} saiu` })
+    });
+    console.log(`  ♻️  Tarefa "${task.title}" (${task.id}) devolvida à fila — ${agentId} saiu`);
   }
+}
 
-  if (!agents.has(from) && from !== 'broker') {
-    return res.status(400).json({ error: `Remetente "${from}" não registrado. Registre-se antes de enviar mensagens.` });
+// Histórico de thread é independente das filas: sobrevive ao cap de 200,
+// ao ACK e ao sp_clear. A Map é mantida em ordem de atividade (LRU primeiro).
+// O journal guarda só o ID: o conteúdo já está no msg.enqueue logo antes.
+function appendToThread(threadId, msg, to) {
+  journal('thread.append', { threadId, messageId: msg.id, to });
+  const { read, ...rest } = msg;
+  const entry = { ...rest, to };
+  let thread = threads.get(threadId);
+  if (thread) {
+    threads.delete(threadId);
+  } else {
+    thread = { participants: [], createdAt: entry.timestamp, updatedAt: entry.timestamp, messages: [] };
   }
+  threads.set(threadId, thread);
 
-  if (Buffer.byteLength(content, 'utf8') > MAX_MESSAGE_CONTENT_SIZE) {
-    return res.status(413).json({ error: `Conteúdo excede o limite de ${MAX_MESSAGE_CONTENT_SIZE / 1024}KB por mensagem` });
+  for (const id of [entry.from, entry.to]) {
+    if (!thread.participants.includes(id)) thread.participants.push(id);
+  }
+  thread.messages.push(entry);
+  thread.updatedAt = entry.timestamp;
+  if (thread.messages.length > MAX_THREAD_MESSAGES) {
+    thread.messages.splice(0, thread.messages.length - MAX_THREAD_MESSAGES);
   }
+  if (threads.size > MAX_THREADS) {
+    threads.delete(threads.keys().next().value);
+  }
+}
 
-  const msgType = VALID_MSG_TYPES.has(type) ? type : 'text';
-  let count = 0;
+// Toda escrita/remoção de contexto vira um evento "context" para todos os streams
+// (o MCP server o repassa como notificação de resource)
+function setContext(key, entry) {
+  journal('ctx.set', { key, entry });
+  const created = !sharedContext.has(key);
+  unindexSearchDoc(sharedContext.get(key));
+  sharedContext.set(key, entry);
+  indexContext(key, entry);
+  contextTombstones.delete(key);
+  pushEventToAll('context', { key, state: 'set', version: entry.version, setBy: entry.setBy, created });
+  if (!contextHistory.has(key)) contextHistory.set(key, []);
+  const revisions = contextHistory.get(key);
+  revisions.push(entry);
+  if (revisions.length > MAX_CONTEXT_REVISIONS) revisions.splice(0, revisions.length - MAX_CONTEXT_REVISIONS);
+}
 
-  for (const [agentId] of agents) {
-    if (agentId === from) continue;
-    enqueue(agentId, {
-      id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-      from,
-      fromName: agents.get(from)?.name || from,
-      content,
-      type: msgType,
-      timestamp: new Date().toISOString(),
-      read: false
-    });
-    count++;
+// Apagar uma chave descarta o histórico — se recriada, ela recomeça na versão 1
+// A versão da chave apagada fica num tombstone: recriada, ela continua a partir
+// dali — um expectedVersion antigo nunca volta a casar (ABA)
+function deleteContext(key) {
+  if (!sharedContext.has(key)) return false;
+  journal('ctx.delete', { key });
+  contextTombstones.delete(key);
+  contextTombstones.set(key, sharedContext.get(key).version);
+  if (contextTombstones.size > MAX_CONTEXT_TOMBSTONES) {
+    contextTombstones.delete(contextTombstones.keys().next().value);
   }
+  contextHistory.delete(key);
+  unindexSearchDoc(sharedContext.get(key));
+  sharedContext.delete(key);
+  pushEventToAll('context', { key, state: 'deleted' });
+  return true;
+}
 
-  console.log(`  📢 Broadcast de ${agents.get(from)?.name || from} para ${count} agentes`);
-  res.json({ ok: true, sentTo: count });
-});
+// Próxima versão da chave: segue a atual ou, se ela foi apagada, o tombstone
+function nextContextVersion(key) {
+  return (liveContext(key)?.version ?? contextTombstones.get(key) ?? 0) + 1;
+}
 
-// Ler mensagens de um agente
-// ?unread=true → apenas não lidas | ?limit=N → máximo N mensagens
-// Não marca como lidas — use POST /messages/:agentId/ack para confirmar recebimento.
-app.get('/messages/:agentId', (req, res) => {
-  if (!agents.has(req.params.agentId)) {
-    return res.status(404).json({ error: `Agente "${req.params.agentId}" não registrado` });
+function isContextExpired(ctx, now = Date.now()) {
+  return Boolean(ctx.expiresAt) && Date.parse(ctx.expiresAt) <= now;
+}
+
+// Entrada viva da chave — uma entrada com TTL vencido é apagada na hora
+// (sem esperar o sweeper) e tratada como inexistente.
+function liveContext(key) {
+  const ctx = sharedContext.get(key);
+  if (ctx && isContextExpired(ctx)) {
+    if (deleteContext(key)) audit('context.delete', { agent: 'broker', key, reason: 'ttl' });
+    return undefined;
   }
-  const queue = messages.get(req.params.agentId) || [];
-  const unreadOnly = req.query.unread === 'true';
-  const limit = req.query.limit ? Math.max(1, parseInt(req.query.limit, 10) || 50) : null;
+  return ctx;
+}
 
-  const filtered = unreadOnly ? queue.filter(m => !m.read) : [...queue];
-  const hasMore  = limit !== null && filtered.length > limit;
-  const result   = limit !== null ? filtered.slice(0, limit) : filtered;
+// ══════════════════════════════════════════════
+// Persistência opcional (journal + snapshot)
+// Ativada com --data-dir <dir> ou BROKER_DATA_DIR. Cada mutação é
+// anexada de forma síncrona a journal.jsonl antes de ser aplicada,
+// então sobrevive a kill -9 (o write já está no page cache do kernel).
+// Periodicamente o estado é compactado em snapshot.json e o journal
+// é truncado. Na inicialização: carrega o snapshot e reaplica o journal.
+// ══════════════════════════════════════════════
 
-  res.json({ messages: result, total: result.length, hasMore });
-});
+const DATA_DIR      = cliFlags['data-dir'] || process.env.BROKER_DATA_DIR || null;
+const SNAPSHOT_FILE = DATA_DIR ? join(DATA_DIR, 'snapshot.json') : null;
+const JOURNAL_FILE  = DATA_DIR ? join(DATA_DIR, 'journal.jsonl') : null;
 
-// ACK — marca mensagens específicas como lidas
-app.post('/messages/:agentId/ack', (req, res) => {
-  if (!agents.has(req.params.agentId)) {
-    return res.status(404).json({ error: `Agente "${req.params.agentId}" não registrado` });
-  }
-  const { ids } = req.body;
-  if (!Array.isArray(ids) || ids.length === 0) {
-    return res.status(400).json({ error: 'ids deve ser um array não-vazio de message IDs' });
+const COMPACT_INTERVAL_MS         = 60_000;
+const COMPACT_MAX_JOURNAL_ENTRIES = 5000;
+
+let journalFd        = null;
+let journalSeq       = 0;     // seq da última operação aplicada
+let journalEntries   = 0;     // entradas no journal desde o último snapshot
+let compactScheduled = false;
+let replaying        = false;
+let lastReplayedMessage = null; // último msg.enqueue do replay (thread.append o referencia pelo ID)
+
+function journal(op, data) {
+  if (replaying || journalFd === null) return;
+  // Escreve antes de incrementar: se o write falhar, o seq não avança
+  writeSync(journalFd, JSON.stringify({ seq: journalSeq + 1, op, ...data }) + '\n');
+  journalSeq++;
+  journalEntries++;
+  if (journalEntries >= COMPACT_MAX_JOURNAL_ENTRIES && !compactScheduled) {
+    // Adia para depois da mutação corrente ser aplicada
+    compactScheduled = true;
+    setImmediate(compact);
   }
-  const queue = messages.get(req.params.agentId) || [];
-  const idSet  = new Set(ids);
-  let acked = 0;
-  for (const msg of queue) {
-    if (idSet.has(msg.id)) { msg.read = true; acked++; }
+}
+
+const replayHandlers = {
+  'agent.register': (e) => registerAgent(e.agentId, e.info, e.tokenHash),
+  'agent.remove':   (e) => removeAgent(e.agentId, e.at, e.mailbox === true),
+  'msg.enqueue':    (e) => enqueue(e.agentId, e.msg, e.receipt),
+  'msg.deliver':    (e) => markDelivered(e.agentId, e.ids.map(id => ({ id })), e.at),
+  'msg.ack':        (e) => ackMessages(e.agentId, e.ids, e.at),
+  'msg.clear':      (e) => clearMessages(e.agentId, e.at),
+  'dlq.add':        (e) => addDeadLetter(e.to, e.msg, e.reason, e.at),
+  'dlq.remove':     (e) => removeDeadLetters(e.ids),
+  'ctx.set':        (e) => setContext(e.key, e.entry),
+  'ctx.delete':     (e) => deleteContext(e.key),
+  'thread.append':  (e) => {
+    if (lastReplayedMessage?.id !== e.messageId) {
+      console.warn(`  ⚠️  Journal: thread.append sem msg.enqueue correspondente (${e.messageId}) ignorado`);
+      return;
+    }
+    appendToThread(e.threadId, lastReplayedMessage, e.to);
+  },
+  'channel.subscribe':   (e) => subscribeChannel(e.channel, e.agentId),
+  'channel.unsubscribe': (e) => unsubscribeChannel(e.channel, e.agentId),
+  'lock.put':       (e) => putLock(e.name, e.lock),
+  'lock.delete':    (e) => deleteLock(e.name),
+  'task.put':       (e) => putTask(e.task),
+  'task.delete':    (e) => deleteTask(e.id),
+  'blob.put':       (e) => putBlob(e.blob),
+  'blob.delete':    (e) => deleteBlob(e.id),
+  'type.put':       (e) => putMessageType(e.entry),
+  'type.delete':    (e) => deleteMessageType(e.name),
+  'schedule.put':    (e) => putSchedule(e.schedule),
+  'schedule.delete': (e) => deleteSchedule(e.id)
+};
+
+function compact() {
+  compactScheduled = false;
+  if (journalFd === null || journalEntries === 0) return;
+  const snapshot = {
+    version: 1,
+    seq: journalSeq,
+    savedAt: new Date().toISOString(),
+    agents: [...agents],
+    messages: [...messages],
+    sharedContext: [...sharedContext],
+    contextHistory: [...contextHistory],
+    contextTombstones: [...contextTombstones],
+    threads: [...threads],
+    channels: [...channels].map(([name, subs]) => [name, [...subs]]),
+    locks: [...locks],
+    tasks: [...tasks],
+    offlineAgents: [...offlineAgents],
+    deadLetters: [...deadLetters],
+    messageStatus: [...messageStatus],
+    blobs: [...blobs],
+    messageTypes: [...messageTypes],
+    schedules: [...schedules],
+    agentTokens: [...agentTokens]
+  };
+  const tmpFile = `${SNAPSHOT_FILE}.tmp`;
+  try {
+    const fd = openSync(tmpFile, 'w');
+    try {
+      writeSync(fd, JSON.stringify(snapshot));
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tmpFile, SNAPSHOT_FILE);
+    // Entradas com seq <= snapshot.seq seriam ignoradas no replay de qualquer forma;
+    // truncar só depois do rename garante que um crash aqui não perde nada.
+    ftruncateSync(journalFd, 0);
+    journalEntries = 0;
+  } catch (err) {
+    console.error(`  ⚠️  Falha ao compactar estado em ${SNAPSHOT_FILE}: ${err.message}`);
+  }
+}
+
+function loadState() {
+  if (!DATA_DIR) return;
+  mkdirSync(DATA_DIR, { recursive: true });
+
+  let snapshotSeq = 0;
+  let replayed    = 0;
+  replaying = true;
+  try {
+    if (existsSync(SNAPSHOT_FILE)) {
+      let snapshot;
+      try {
+        snapshot = JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8'));
+      } catch (err) {
+        _error(`[ERRO] Snapshot corrompido em ${SNAPSHOT_FILE}: ${err.message}`);
+        process.exit(1);
+      }
+      for (const [id, info]  of snapshot.agents || [])        agents.set(id, info);
+      for (const [id, queue] of snapshot.messages || [])      messages.set(id, queue);
+      for (const [key, ctx]  of snapshot.sharedContext || []) sharedContext.set(key, ctx);
+      for (const [key, revs] of snapshot.contextHistory || []) contextHistory.set(key, revs);
+      for (const [key, ver]  of snapshot.contextTombstones || []) contextTombstones.set(key, ver);
+      for (const [hash, id]  of snapshot.agentTokens || [])   agentTokens.set(hash, id);
+      for (const [id, thread] of snapshot.threads || [])      threads.set(id, thread);
+      for (const [name, subs] of snapshot.channels || [])     channels.set(name, new Set(subs));
+      for (const [name, lock] of snapshot.locks || [])        locks.set(name, lock);
+      for (const [id, task]   of snapshot.tasks || [])        tasks.set(id, task);
+      for (const [id, status] of snapshot.messageStatus || []) messageStatus.set(id, status);
+      for (const [id, info]   of snapshot.offlineAgents || []) offlineAgents.set(id, info);
+      for (const [id, letter] of snapshot.deadLetters || [])   deadLetters.set(id, letter);
+      for (const [id, blob]   of snapshot.blobs || [])         blobs.set(id, blob);
+      for (const [name, type] of snapshot.messageTypes || [])  messageTypes.set(name, type);
+      for (const [id, sched]  of snapshot.schedules || [])     schedules.set(id, sched);
+      snapshotSeq = snapshot.seq || 0;
+      rebuildSearchIndex();
+    }
+    journalSeq = snapshotSeq;
+
+    if (existsSync(JOURNAL_FILE)) {
+      const lines = readFileSync(JOURNAL_FILE, 'utf8').split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          // Última linha pode estar incompleta se o processo morreu no meio do write
+          console.warn(`  ⚠️  Journal: linha ${i + 1} ilegível ignorada`);
+          continue;
+        }
+        if (entry.seq <= snapshotSeq) continue;
+        const handler = replayHandlers[entry.op];
+        if (!handler) {
+          console.warn(`  ⚠️  Journal: operação desconhecida "${entry.op}" ignorada`);
+          continue;
+        }
+        handler(entry);
+        journalSeq = entry.seq;
+        replayed++;
+      }
+    }
+  } finally {
+    replaying = false;
+    lastReplayedMessage = null;
+  }
+
+  // Metadados sem arquivo (disco apagado à mão) somem; arquivos sem metadados
+  // (crash entre gravar o arquivo e o journal) são apagados
+  const blobDir = join(DATA_DIR, 'blobs');
+  for (const id of [...blobs.keys()]) {
+    if (!existsSync(join(blobDir, id))) blobs.delete(id);
+  }
+  if (existsSync(blobDir)) {
+    for (const file of readdirSync(blobDir)) {
+      if (!blobs.has(file)) unlinkSync(join(blobDir, file));
+    }
+  }
+
+  // Agentes restaurados ganham um novo prazo — senão o reaper os removeria
+  // antes do primeiro heartbeat após o restart.
+  const now = new Date().toISOString();
+  for (const info of agents.values()) info.lastSeen = now;
+
+  journalFd      = openSync(JOURNAL_FILE, 'a');
+  journalEntries = replayed;
+  compact();
+
+  let pending = 0;
+  for (const queue of messages.values()) pending += queue.filter(m => !m.read).length;
+  console.log(`  💾 Estado restaurado de ${resolve(DATA_DIR)}: ${agents.size} agente(s), ${pending} mensagem(ns) não lida(s), ${sharedContext.size} contexto(s)`);
+}
+
+// ══════════════════════════════════════════════
+// Audit log (opcional)
+// Registro append-only em JSONL de quem fez o quê: registros e saídas de
+// agentes, envios, broadcasts, ACKs, escritas/remoções de contexto e
+// remoções do reaper. Ativado com --audit-log <arquivo> ou BROKER_AUDIT_LOG;
+// com --data-dir, o padrão é <data-dir>/audit.jsonl. Ao passar de
+// AUDIT_MAX_FILE_BYTES o arquivo é rotacionado (audit.jsonl.1 é o mais
+// recente) e só os AUDIT_MAX_FILES mais novos são mantidos.
+// ══════════════════════════════════════════════
+
+const AUDIT_FILE = cliFlags['audit-log'] || process.env.BROKER_AUDIT_LOG || (DATA_DIR ? join(DATA_DIR, 'audit.jsonl') : null);
+
+const AUDIT_MAX_FILE_BYTES = 10 * 1024 * 1024;
+const AUDIT_MAX_FILES      = 5;    // arquivos rotacionados guardados, além do atual
+const AUDIT_PREVIEW_CHARS  = 1000; // conteúdo de mensagens e valores de contexto é truncado
+
+let auditFd   = null;
+let auditSize = 0;
+
+function rotateAuditLog() {
+  closeSync(auditFd);
+  for (let i = AUDIT_MAX_FILES - 1; i >= 1; i--) {
+    if (existsSync(`${AUDIT_FILE}.${i}`)) renameSync(`${AUDIT_FILE}.${i}`, `${AUDIT_FILE}.${i + 1}`);
+  }
+  renameSync(AUDIT_FILE, `${AUDIT_FILE}.1`);
+  auditFd   = openSync(AUDIT_FILE, 'a');
+  auditSize = 0;
+}
+
+// agent: quem fez a ação ('broker' = operador, 'unknown' = sem identificação).
+// Uma falha de escrita não derruba a requisição — só é reportada no console.
+function audit(event, data) {
+  if (auditFd === null || replaying) return;
+  const line  = JSON.stringify({ ts: new Date().toISOString(), event, ...data }) + '\n';
+  const bytes = Buffer.byteLength(line, 'utf8');
+  try {
+    if (auditSize > 0 && auditSize + bytes > AUDIT_MAX_FILE_BYTES) rotateAuditLog();
+    writeSync(auditFd, line);
+    auditSize += bytes;
+  } catch (err) {
+    console.error(`[ERRO] Falha ao gravar o audit log: ${err.message}`);
+  }
+}
+
+function auditPreview(text) {
+  return text.length > AUDIT_PREVIEW_CHARS ? text.slice(0, AUDIT_PREVIEW_CHARS) + '...' : text;
+}
+
+const AUDIT_READ_CHUNK = 64 * 1024;
+
+// Linhas de um arquivo da última para a primeira, lidas em blocos assíncronos
+// a partir do fim — a consulta não carrega o arquivo inteiro nem trava o event loop
+async function* readLinesBackward(file) {
+  let handle;
+  try {
+    handle = await open(file, 'r');
+  } catch {
+    return; // rotacionado ou ainda não criado
+  }
+  try {
+    let pos  = (await handle.stat()).size;
+    let tail = Buffer.alloc(0); // começo de linha ainda sem o restante (que vem no próximo bloco)
+    while (pos > 0) {
+      const size = Math.min(AUDIT_READ_CHUNK, pos);
+      pos -= size;
+      const chunk = Buffer.alloc(size);
+      await handle.read(chunk, 0, size, pos);
+      const buf = Buffer.concat([chunk, tail]);
+      let end = buf.length;
+      for (let i = buf.length - 1; i >= 0; i--) {
+        if (buf[i] !== 0x0a) continue;
+        if (end > i + 1) yield buf.toString('utf8', i + 1, end);
+        end = i;
+      }
+      tail = buf.subarray(0, end);
+    }
+    if (tail.length > 0) yield tail.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+// Percorre do mais novo para o mais antigo (arquivo atual, .1, .2, ...) e para
+// ao passar de `limit` resultados ou de `since`. event casa exato ou por
+// prefixo ("message" → message.send, message.ack...). agent casa quem fez
+// a ação ou o destinatário.
+async function queryAuditLog({ agent, event, key, since, until, limit }) {
+  const files = [AUDIT_FILE];
+  for (let i = 1; i <= AUDIT_MAX_FILES; i++) files.push(`${AUDIT_FILE}.${i}`);
+
+  const matched = [];
+  for (const file of files) {
+    for await (const line of readLinesBackward(file)) {
+      let entry;
+      try { entry = JSON.parse(line); } catch { continue; }
+      if (since && entry.ts < since) return matched;
+      if (until && entry.ts > until) continue;
+      if (event && entry.event !== event && !entry.event.startsWith(`${event}.`)) continue;
+      if (agent && entry.agent !== agent && entry.to !== agent) continue;
+      if (key && entry.key !== key) continue;
+      matched.push(entry);
+      if (matched.length > limit) return matched;
+    }
+  }
+  return matched;
+}
+
+if (AUDIT_FILE) {
+  mkdirSync(dirname(resolve(AUDIT_FILE)), { recursive: true });
+  auditFd   = openSync(AUDIT_FILE, 'a');
+  auditSize = fstatSync(auditFd).size;
+}
+
+// ══════════════════════════════════════════════
+// Middleware de log
+// ══════════════════════════════════════════════
+
+app.use((req, res, next) => {
+  // Silencia polling de alta frequência (heartbeats, leitura de mensagens e dashboard)
+  const isPolling =
+    (req.method === 'GET'  && req.path.startsWith('/messages/')) ||
+    (req.method === 'GET'  && req.path.startsWith('/ui/api/')) ||
+    (req.method === 'GET'  && req.path === '/metrics') ||
+    (req.method === 'POST' && req.path.endsWith('/heartbeat'));
+  if (!isPolling) {
+    const ts = new Date().toLocaleTimeString('pt-BR');
+    const safePath = req.originalUrl.replace(/[\x00-\x1f\x7f]/g, '');
+    console.log(`[${ts}] ${req.method} ${safePath}`);
+  }
+  next();
+});
+
+// Contagem e latência por rota. O rótulo route é o padrão do Express
+// (/messages/:agentId), não o path, para não abrir uma série por agente;
+// requisições que não casam com rota nenhuma (401, 404) ficam como "none".
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('close', () => {
+    const route   = req.route ? req.route.path : 'none';
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    incMetric('skvil_http_requests_total', { method: req.method, route, status: res.statusCode });
+    observeHttpDuration({ method: req.method, route }, seconds);
+    if (res.statusCode === 413) incMetric('skvil_payload_rejections_total', { route });
+  });
+  next();
+});
+
+// Depois do middleware de métricas, para que bodies grandes demais (413) também sejam contados
+app.use(express.json({ limit: '5mb' }));
+
+// ══════════════════════════════════════════════
+// Autenticação (opcional)
+// Ativada com --token <segredo> ou BROKER_TOKEN. O segredo compartilhado
+// só serve para POST /agents/register, que emite um token por agente.
+// Todas as outras rotas exigem esse token (Authorization: Bearer <token>),
+// e a identidade do agente (from/setBy) vem dele — não do body.
+// ══════════════════════════════════════════════
+
+const AUTH_TOKEN = cliFlags.token || process.env.BROKER_TOKEN || null;
+const AUTH_TOKEN_HASH = AUTH_TOKEN ? hashToken(AUTH_TOKEN) : null;
+
+// Token próprio do dashboard: só vale em /ui/api (leitura + envio como operador),
+// para que o navegador nunca guarde o BROKER_TOKEN. Sem --dashboard-token nem
+// BROKER_DASHBOARD_TOKEN, um aleatório é gerado a cada início e exibido no console.
+const DASHBOARD_TOKEN_FIXED = (typeof cliFlags['dashboard-token'] === 'string' && cliFlags['dashboard-token'])
+  || process.env.BROKER_DASHBOARD_TOKEN || null;
+const DASHBOARD_TOKEN = AUTH_TOKEN ? (DASHBOARD_TOKEN_FIXED || randomBytes(24).toString('hex')) : null;
+if (DASHBOARD_TOKEN && DASHBOARD_TOKEN === AUTH_TOKEN) {
+  _error('[ERRO] O token do dashboard não pode ser igual ao BROKER_TOKEN.');
+  process.exit(1);
+}
+const DASHBOARD_TOKEN_HASH = DASHBOARD_TOKEN ? hashToken(DASHBOARD_TOKEN) : null;
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+function unauthorized(res, error) {
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ error });
+}
+
+// Hashes têm tamanho fixo, então timingSafeEqual nunca lança aqui
+function isSharedSecret(hash) {
+  return timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(AUTH_TOKEN_HASH, 'hex'));
+}
+
+function isDashboardToken(hash) {
+  return timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(DASHBOARD_TOKEN_HASH, 'hex'));
+}
+
+app.use((req, res, next) => {
+  if (!AUTH_TOKEN) return next();
+  // A página do dashboard não carrega dados — a API dela (/ui/api) exige o token
+  if (req.method === 'GET' && (req.path === '/' || req.path === '/ui')) return next();
+
+  const token = bearerToken(req);
+  if (!token) {
+    return unauthorized(res, 'Autenticação obrigatória: envie Authorization: Bearer <token>');
+  }
+  const hash = hashToken(token);
+
+  if (req.method === 'POST' && req.path === '/agents/register') {
+    if (!isSharedSecret(hash)) {
+      return unauthorized(res, 'Token de registro inválido (use o BROKER_TOKEN configurado no broker)');
+    }
+    return next();
+  }
+
+  // Dashboard: aceita só o token do dashboard, nunca o segredo compartilhado
+  if (req.path.startsWith('/ui/api/')) {
+    if (!isDashboardToken(hash)) {
+      return unauthorized(res, 'Token inválido (o dashboard usa o token de dashboard exibido ao iniciar o broker)');
+    }
+    return next();
+  }
+
+  // Remoção de contexto pelo operador: pode apagar chaves de qualquer agente
+  const isContextDelete = req.method === 'DELETE' && (req.path === '/context' || req.path.startsWith('/context/'));
+  if (isContextDelete && isSharedSecret(hash)) {
+    req.operator = true;
+    return next();
+  }
+
+  // Métricas: o Prometheus faz o scrape com o segredo compartilhado (bearer_token)
+  if (req.path === '/metrics') {
+    if (!isSharedSecret(hash)) {
+      return unauthorized(res, 'Token inválido (/metrics usa o BROKER_TOKEN configurado no broker)');
+    }
+    return next();
+  }
+
+  const agentId = agentTokens.get(hash);
+  if (!agentId || !agents.has(agentId)) {
+    return unauthorized(res, 'Token inválido ou expirado — registre o agente novamente');
+  }
+  req.agentId = agentId;
+  next();
+});
+
+// Agente sem stream aberto e sem heartbeat há mais de STALE_AGENT_THRESHOLD_MS
+function isAgentStale(agentId, info, now = Date.now()) {
+  return !streams.has(agentId) && now - new Date(info.lastSeen).getTime() > STALE_AGENT_THRESHOLD_MS;
+}
+
+// Re-registro de um agentId vivo que já tem token: só com o token atual
+// (X-Agent-Token) — o segredo compartilhado sozinho não basta para assumir
+// a identidade de outro agente. Liberado quando o registro anterior fica stale.
+function canTakeOverAgent(req, agentId) {
+  if (!AUTH_TOKEN) return true;
+  const info = agents.get(agentId);
+  if (!info || isAgentStale(agentId, info)) return true;
+  if (![...agentTokens.values()].includes(agentId)) return true;
+  const current = req.get('x-agent-token');
+  return !!current && agentTokens.get(hashToken(current)) === agentId;
+}
+
+// Com autenticação ativa, rotas /:agentId só aceitam o próprio agente
+function requireSelf(req, res) {
+  if (AUTH_TOKEN && req.agentId !== req.params.agentId) {
+    res.status(403).json({ error: `Agente "${req.agentId}" não tem acesso a "${req.params.agentId}"` });
+    return false;
+  }
+  return true;
+}
+
+// Identidade do remetente: autenticada quando possível, senão a declarada no body
+function callerId(req, claimed) {
+  return AUTH_TOKEN ? req.agentId : claimed;
+}
+
+// ══════════════════════════════════════════════
+// Rotas: Registro de Agentes
+// ══════════════════════════════════════════════
+
+// channels: lista opcional de canais a (re)assinar — o MCP server reenvia suas
+// inscrições a cada registro, restaurando-as após restart do broker.
+// Status de presença escolhido pelo agente; "offline" é atribuído pelo broker quando ele sai
+const AGENT_STATUSES        = ['online', 'idle', 'busy', 'blocked'];
+const MAX_STATUS_NOTE_SIZE  = 200;
+
+// Valida status / note presentes no body; retorna { error } ou { status, note }
+function parseAgentStatus(body) {
+  const { status, note } = body;
+  if (status !== undefined && !AGENT_STATUSES.includes(status)) {
+    return { error: `status deve ser um de: ${AGENT_STATUSES.join(', ')}` };
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > MAX_STATUS_NOTE_SIZE)) {
+    return { error: `note deve ser uma string de até ${MAX_STATUS_NOTE_SIZE} caracteres` };
+  }
+  return { status, note };
+}
+
+// capabilities / tags: rótulos para descoberta (GET /agents?capability=&tag=) e,
+// no caso de capabilities, para o claim-next da fila de tarefas.
+const AGENT_LABEL_RE = /^[\w.:-]{1,64}$/;
+
+// Valida os campos de perfil presentes no body; retorna { error } ou { profile }
+function parseAgentProfile(body) {
+  const profile = {};
+  for (const field of ['capabilities', 'tags']) {
+    const val = body[field];
+    if (val === undefined) continue;
+    if (!Array.isArray(val) || val.length > MAX_AGENT_LABELS || !val.every(l => typeof l === 'string' && AGENT_LABEL_RE.test(l))) {
+      return { error: `${field} deve ser um array de até ${MAX_AGENT_LABELS} rótulos (letras, números, ".", ":", "_" ou "-", máx 64)` };
+    }
+    profile[field] = [...new Set(val)];
+  }
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.length > MAX_AGENT_DESCRIPTION) {
+      return { error: `description deve ser uma string de até ${MAX_AGENT_DESCRIPTION} caracteres` };
+    }
+    profile.description = body.description;
+  }
+  return { profile };
+}
+
+app.post('/agents/register', (req, res) => {
+  const { agentId, name, project, path } = req.body;
+  const subscribeTo = req.body.channels ?? [];
+  if (!agentId || !name) {
+    return res.status(400).json({ error: 'agentId e name são obrigatórios' });
+  }
+  if (typeof agentId !== 'string' || typeof name !== 'string') {
+    return res.status(400).json({ error: 'agentId e name devem ser strings' });
+  }
+  if (agentId.length > 64 || name.length > 128) {
+    return res.status(400).json({ error: 'agentId (máx 64) ou name (máx 128) excede o limite' });
+  }
+
+  if (!Array.isArray(subscribeTo) || !subscribeTo.every(isValidChannelName)) {
+    return res.status(400).json({ error: 'channels deve ser um array de nomes de canal válidos' });
+  }
+  const { error, profile } = parseAgentProfile(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  // Status reenviado pelo agente ao se re-registrar (ex: após restart do broker)
+  const presence = parseAgentStatus({ status: req.body.status, note: req.body.statusNote });
+  if (presence.error) {
+    return res.status(400).json({ error: presence.error });
+  }
+
+  if (!agents.has(agentId) && agents.size >= MAX_AGENTS) {
+    return res.status(429).json({ error: `Limite de ${MAX_AGENTS} agentes atingido` });
+  }
+  if (!canTakeOverAgent(req, agentId)) {
+    return res.status(409).json({
+      error: `Agente "${agentId}" já está online — re-registro exige o token atual dele (X-Agent-Token)`
+    });
+  }
+
+  const token       = AUTH_TOKEN ? randomBytes(32).toString('base64url') : null;
+  const fromMailbox = offlineAgents.has(agentId);
+  incMetric('skvil_agent_registrations_total');
+
+  registerAgent(agentId, {
+    name,
+    project: project || 'unknown',
+    path: path || '',
+    capabilities: profile.capabilities || [],
+    tags: profile.tags || [],
+    description: profile.description || '',
+    status: presence.status || 'online',
+    statusNote: presence.note || '',
+    statusSince: new Date().toISOString(),
+    registeredAt: new Date().toISOString(),
+    lastSeen: new Date().toISOString()
+  }, token ? hashToken(token) : undefined);
+
+  for (const channel of subscribeTo) {
+    if (channels.has(channel) || channels.size < MAX_CHANNELS) subscribeChannel(channel, agentId);
+  }
+
+  audit('agent.register', { agent: agentId, name, project: project || 'unknown' });
+
+  // A fila de quem volta de offline é devolvida intacta
+  const pendingMessages = messages.get(agentId).filter(m => !m.read).length;
+  console.log(`  ✅ Agente registrado: ${name} (${agentId}) — projeto: ${project || 'N/A'}`);
+  if (fromMailbox && pendingMessages > 0) {
+    console.log(`  📬 ${pendingMessages} mensagem(ns) da caixa postal aguardando ${agentId}`);
+  }
+  res.json({ ok: true, agentId, totalAgents: agents.size, pendingMessages, ...(token && { token }) });
+});
+
+// Filtros opcionais (combinados com E): ?capability= &tag= &project=
+// offline: agentes que saíram mas ainda têm caixa postal (aceitam mensagens)
+app.get('/agents', (req, res) => {
+  const { capability, tag, project } = req.query;
+  const matches = (info) =>
+    (!capability || info.capabilities?.includes(capability)) &&
+    (!tag || info.tags?.includes(tag)) &&
+    (!project || info.project === project);
+
+  const list = [];
+  for (const [id, info] of agents) {
+    if (matches(info)) list.push({ agentId: id, ...info });
+  }
+  const offline = [];
+  for (const [id, info] of offlineAgents) {
+    if (!matches(info)) continue;
+    const pendingMessages = (messages.get(id) || []).filter(m => !m.read).length;
+    offline.push({ agentId: id, ...info, pendingMessages });
+  }
+  res.json({ agents: list, offline });
+});
+
+// Status de presença: { status: online|idle|busy|blocked, note? } — note omitida é apagada.
+// Mudanças são anunciadas (evento presence + canal "presence").
+app.post('/agents/:agentId/status', (req, res) => {
+  if (!requireSelf(req, res)) return;
+  const agentId = req.params.agentId;
+  const info    = agents.get(agentId);
+  if (!info) {
+    return res.status(404).json({ error: `Agente "${agentId}" não registrado` });
+  }
+  const { error, status, note } = parseAgentStatus(req.body);
+  if (error || !status) {
+    return res.status(400).json({ error: error || `status é obrigatório (${AGENT_STATUSES.join(', ')})` });
+  }
+  const now     = new Date().toISOString();
+  const changed = status !== info.status;
+  registerAgent(agentId, {
+    ...info,
+    status,
+    statusNote: note || '',
+    statusSince: changed ? now : info.statusSince,
+    lastSeen: now
+  });
+  console.log(`  🔄 ${info.name} (${agentId}) → ${status}${note ? ` — ${note}` : ''}`);
+  res.json({ ok: true, status, note: note || '', statusSince: agents.get(agentId).statusSince });
+});
+
+// Atualiza capabilities / tags / description sem re-registrar (campos ausentes não mudam)
+app.patch('/agents/:agentId', (req, res) => {
+  if (!requireSelf(req, res)) return;
+  const agentId = req.params.agentId;
+  const info    = agents.get(agentId);
+  if (!info) {
+    return res.status(404).json({ error: `Agente "${agentId}" não registrado` });
+  }
+  const { error, profile } = parseAgentProfile(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  registerAgent(agentId, { ...info, ...profile, lastSeen: new Date().toISOString() });
+  console.log(`  🏷️  Perfil atualizado: ${info.name} (${agentId})`);
+  res.json({ ok: true, agent: { agentId, ...agents.get(agentId) } });
+});
+
+app.post('/agents/:agentId/heartbeat', (req, res) => {
+  if (!requireSelf(req, res)) return;
+  const agent = agents.get(req.params.agentId);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agente não registrado' });
+  }
+  agent.lastSeen = new Date().toISOString();
+  res.json({ ok: true });
+});
+
+// Stream SSE — entrega mensagens, ACKs e mudanças de presença em tempo real.
+// Enquanto o stream estiver aberto o agente conta como vivo (dispensa heartbeat).
+// Eventos: hello, message, ack, status, presence, lock, context. Comentários ": ping" a cada 15s.
+app.get('/agents/:agentId/stream', (req, res) => {
+  if (!requireSelf(req, res)) return;
+  const agentId = req.params.agentId;
+  const agent   = agents.get(agentId);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agente não registrado' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  req.socket.setTimeout(0);
+
+  if (!streams.has(agentId)) streams.set(agentId, new Set());
+  streams.get(agentId).add(res);
+  agent.lastSeen = new Date().toISOString();
+
+  const unread = (messages.get(agentId) || []).filter(m => !m.read).length;
+  res.write(`event: hello\ndata: ${JSON.stringify({ agentId, unread })}\n\n`);
+
+  const keepalive = setInterval(() => {
+    const current = agents.get(agentId);
+    if (current) current.lastSeen = new Date().toISOString();
+    res.write(': ping\n\n');
+  }, STREAM_KEEPALIVE_MS);
+
+  res.on('close', () => {
+    clearInterval(keepalive);
+    const conns = streams.get(agentId);
+    if (!conns) return;
+    conns.delete(res);
+    if (conns.size === 0) streams.delete(agentId);
+  });
+});
+
+// Desregistro: a fila fica guardada como caixa postal (se a retenção estiver ativa).
+// ?purge=true descarta também a caixa postal — mensagens pendentes expiram.
+app.delete('/agents/:agentId', (req, res) => {
+  if (!requireSelf(req, res)) return;
+  const agentId    = req.params.agentId;
+  const purge      = req.query.purge === 'true';
+  const hadMailbox = offlineAgents.has(agentId);
+  const existed    = removeAgent(agentId, undefined, !purge && MAILBOX_RETENTION_MS > 0);
+  if (existed || (purge && hadMailbox)) {
+    audit('agent.deregister', { agent: agentId, ...(purge && { purge }) });
+  }
+  if (existed) {
+    console.log(`  ❌ Agente removido: ${agentId}${offlineAgents.has(agentId) ? ' (caixa postal mantida)' : ''}`);
+  } else if (purge && hadMailbox) {
+    console.log(`  📪 Caixa postal descartada: ${agentId}`);
+  }
+  res.json({ ok: true });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Limpeza de mensagens
+// ══════════════════════════════════════════════
+
+app.delete('/messages/:agentId', (req, res) => {
+  if (!requireSelf(req, res)) return;
+  if (!messages.has(req.params.agentId)) {
+    return res.status(404).json({ error: 'Agente não encontrado' });
+  }
+  const cleared = clearMessages(req.params.agentId);
+  console.log(`  🗑️  Mensagens limpas: ${req.params.agentId} (${cleared} removida(s))`);
+  res.json({ ok: true, cleared });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Tipos de mensagem e payloads estruturados
+// Além de content (texto livre, sempre presente), uma mensagem pode levar
+// payload: um valor JSON validado contra o schema do tipo. Os tipos embutidos
+// têm schema fixo e payload opcional; tipos customizados são registrados em
+// POST /types com um JSON Schema e exigem payload. Tipo desconhecido ou
+// payload inválido → 400 (nada é convertido silenciosamente para text).
+// ══════════════════════════════════════════════
+
+const MSG_TYPE_NAME_RE      = /^[a-z][a-z0-9._-]{1,63}$/;
+const MAX_MESSAGE_TYPES     = 100;       // tipos customizados
+const MAX_TYPE_SCHEMA_SIZE  = 16 * 1024;
+const HTTP_METHODS          = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+const BUILTIN_MSG_TYPES = {
+  text: {
+    description: 'Conversa em texto livre; payload é um objeto qualquer',
+    schema: z.record(z.string(), z.unknown())
+  },
+  code: {
+    description: 'Trecho de código: linguagem, arquivo de origem e o código',
+    schema: z.object({
+      language: z.string().min(1).max(64),
+      path: z.string().max(512).optional(),
+      startLine: z.number().int().min(1).optional(),
+      snippet: z.string()
+    }).strict()
+  },
+  schema: {
+    description: 'Estrutura de dados: nome, formato (json-schema, sql, typescript...) e a definição',
+    schema: z.object({
+      name: z.string().min(1).max(256),
+      format: z.string().max(64).optional(),
+      definition: z.union([z.string(), z.record(z.string(), z.unknown())])
+    }).strict()
+  },
+  endpoint: {
+    description: 'Contrato de um endpoint HTTP: método, path, corpo da requisição e respostas por status',
+    schema: z.object({
+      method: z.enum(HTTP_METHODS),
+      path: z.string().regex(/^\//, 'path deve começar com /').max(512),
+      description: z.string().max(2000).optional(),
+      auth: z.string().max(256).optional(),
+      query: z.record(z.string(), z.unknown()).optional(),
+      requestBody: z.unknown().optional(),
+      responses: z.record(z.string().regex(/^\d{3}$/, 'use o status HTTP como chave'), z.unknown()).optional()
+    }).strict()
+  },
+  config: {
+    description: 'Configuração: nome, ambiente e os valores',
+    schema: z.object({
+      name: z.string().min(1).max(256),
+      environment: z.string().max(64).optional(),
+      values: z.record(z.string(), z.unknown())
+    }).strict()
+  }
+};
+
+const compiledTypeSchemas = new Map(); // tipo customizado -> schema zod (recompilado sob demanda)
+
+function isValidMsgType(type) {
+  return typeof type === 'string' && (Object.hasOwn(BUILTIN_MSG_TYPES, type) || messageTypes.has(type));
+}
+
+function messageTypeNames() {
+  return [...Object.keys(BUILTIN_MSG_TYPES), ...messageTypes.keys()];
+}
+
+// Palavras-chave cujo valor é um mapa nome -> schema (as chaves não são palavras-chave)
+const SCHEMA_MAP_KEYWORDS  = new Set(['properties', '$defs', 'definitions', 'dependentSchemas']);
+// Palavras-chave cujo valor é dado, não schema
+const SCHEMA_DATA_KEYWORDS = new Set(['const', 'enum', 'default', 'examples']);
+
+// Caminho do primeiro pattern / patternProperties do schema, ou null
+function findSchemaRegex(schema, path = '') {
+  if (!schema || typeof schema !== 'object') return null;
+  const children = Array.isArray(schema) ? schema.map((sub, i) => [`${path}/${i}`, sub]) : [];
+  if (!Array.isArray(schema)) {
+    for (const [keyword, val] of Object.entries(schema)) {
+      if (keyword === 'pattern' || keyword === 'patternProperties') return `${path}/${keyword}`;
+      if (SCHEMA_DATA_KEYWORDS.has(keyword)) continue;
+      if (SCHEMA_MAP_KEYWORDS.has(keyword) && val && typeof val === 'object') {
+        for (const [name, sub] of Object.entries(val)) children.push([`${path}/${keyword}/${name}`, sub]);
+      } else {
+        children.push([`${path}/${keyword}`, val]);
+      }
+    }
+  }
+  for (const [subPath, sub] of children) {
+    const found = findSchemaRegex(sub, subPath);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Lança se o schema não puder ser usado. Regexes vindas de agentes rodariam na
+// única thread do broker a cada validação — uma com backtracking catastrófico
+// (ex: ^(a+)+$) trava o broker para todos — então pattern e patternProperties
+// são recusados em qualquer nível.
+function compileTypeSchema(schema) {
+  const regexAt = findSchemaRegex(schema);
+  if (regexAt) throw new Error(`"pattern" e "patternProperties" não são aceitos (em ${regexAt})`);
+  return z.fromJSONSchema(schema);
+}
+
+function messageTypeSchema(type) {
+  if (Object.hasOwn(BUILTIN_MSG_TYPES, type)) return BUILTIN_MSG_TYPES[type].schema;
+  if (!compiledTypeSchemas.has(type)) compiledTypeSchemas.set(type, compileTypeSchema(messageTypes.get(type).schema));
+  return compiledTypeSchemas.get(type);
+}
+
+function putMessageType(entry) {
+  journal('type.put', { entry });
+  messageTypes.set(entry.name, entry);
+  compiledTypeSchemas.delete(entry.name);
+}
+
+function deleteMessageType(name) {
+  if (!messageTypes.has(name)) return false;
+  journal('type.delete', { name });
+  compiledTypeSchemas.delete(name);
+  return messageTypes.delete(name);
+}
+
+// type ausente = text. Retorna { type } / { type, payload } ou { error, issues? }
+function parseTypedPayload(type = 'text', payload) {
+  if (!isValidMsgType(type)) {
+    return { error: `Tipo "${type}" desconhecido. Use um de: ${messageTypeNames().join(', ')}` };
+  }
+  if (payload === undefined || payload === null) {
+    return messageTypes.has(type) ? { error: `O tipo "${type}" exige payload` } : { type };
+  }
+  // Schema restaurado do snapshot pode não compilar mais (zod atualizado, regras novas)
+  let schema;
+  try {
+    schema = messageTypeSchema(type);
+  } catch (err) {
+    return { error: `O schema do tipo "${type}" não pôde ser compilado: ${err.message} — registre-o de novo` };
+  }
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return {
+      error: `payload inválido para o tipo "${type}"`,
+      issues: result.error.issues.map(i => `${i.path.join('.') || '(raiz)'}: ${i.message}`)
+    };
+  }
+  return { type, payload };
+}
+
+function messageSize(content, payload) {
+  return Buffer.byteLength(content, 'utf8') + (payload === undefined ? 0 : Buffer.byteLength(JSON.stringify(payload), 'utf8'));
+}
+
+function describeMessageType(name) {
+  if (Object.hasOwn(BUILTIN_MSG_TYPES, name)) {
+    const { description, schema } = BUILTIN_MSG_TYPES[name];
+    return { name, builtin: true, payloadRequired: false, description, schema: z.toJSONSchema(schema) };
+  }
+  return { ...messageTypes.get(name), builtin: false, payloadRequired: true };
+}
+
+app.get('/types', (req, res) => {
+  res.json({ types: messageTypeNames().map(describeMessageType) });
+});
+
+app.get('/types/:name', (req, res) => {
+  if (!isValidMsgType(req.params.name)) {
+    return res.status(404).json({ error: `Tipo "${req.params.name}" não encontrado` });
+  }
+  res.json(describeMessageType(req.params.name));
+});
+
+// Registrar de novo um tipo customizado substitui o schema (só quem o registrou,
+// com autenticação ativa). Mensagens já enviadas não são revalidadas.
+app.post('/types', (req, res) => {
+  const { name, description, schema } = req.body;
+  const registeredBy = callerId(req, req.body.registeredBy);
+  if (typeof name !== 'string' || !MSG_TYPE_NAME_RE.test(name)) {
+    return res.status(400).json({ error: 'name deve ter 2 a 64 caracteres [a-z0-9._-], começando com letra' });
+  }
+  if (Object.hasOwn(BUILTIN_MSG_TYPES, name)) {
+    return res.status(409).json({ error: `"${name}" é um tipo embutido e não pode ser redefinido` });
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+    return res.status(400).json({ error: 'description deve ser uma string de até 500 caracteres' });
+  }
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return res.status(400).json({ error: 'schema é obrigatório e deve ser um JSON Schema (objeto)' });
+  }
+  if (Buffer.byteLength(JSON.stringify(schema), 'utf8') > MAX_TYPE_SCHEMA_SIZE) {
+    return res.status(413).json({ error: `schema excede o limite de ${MAX_TYPE_SCHEMA_SIZE / 1024}KB` });
+  }
+  const existing = messageTypes.get(name);
+  if (existing && AUTH_TOKEN && existing.registeredBy !== req.agentId) {
+    return res.status(403).json({ error: `O tipo "${name}" pertence a "${existing.registeredBy}"` });
+  }
+  if (!existing && messageTypes.size >= MAX_MESSAGE_TYPES) {
+    return res.status(429).json({ error: `Limite de ${MAX_MESSAGE_TYPES} tipos customizados atingido` });
+  }
+  try {
+    compileTypeSchema(schema);
+  } catch (err) {
+    return res.status(400).json({ error: `schema inválido: ${err.message}` });
+  }
+
+  putMessageType({
+    name,
+    description: description || '',
+    schema,
+    registeredBy: registeredBy || 'unknown',
+    registeredAt: new Date().toISOString()
+  });
+  console.log(`  🧩 Tipo de mensagem ${existing ? 'atualizado' : 'registrado'}: ${name} por ${agentName(registeredBy)}`);
+  res.json({ ok: true, type: describeMessageType(name) });
+});
+
+app.delete('/types/:name', (req, res) => {
+  const entry = messageTypes.get(req.params.name);
+  if (!entry) {
+    return res.status(404).json({ error: `Tipo customizado "${req.params.name}" não encontrado` });
+  }
+  if (AUTH_TOKEN && entry.registeredBy !== req.agentId) {
+    return res.status(403).json({ error: `O tipo "${entry.name}" pertence a "${entry.registeredBy}"` });
+  }
+  deleteMessageType(entry.name);
+  res.json({ ok: true });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Mensagens diretas
+// ══════════════════════════════════════════════
+
+// replyTo: ID de uma mensagem recebida pelo remetente. Quando informado, "to" é
+// opcional (padrão: autor da mensagem original) e o correlationId é herdado dela —
+// toda a cadeia de pergunta/resposta compartilha o ID da primeira mensagem.
+// threadId: agrupa a mensagem numa conversa com histórico (GET /threads/:threadId);
+// respostas herdam o threadId da mensagem original.
+// receipt: true → o remetente recebe um recibo na própria fila quando a mensagem
+// for lida, descartada ou expirar (o status também fica em GET /messages/status/:id).
+app.post('/messages/send', (req, res) => {
+  const { content, type, payload, replyTo, receipt } = req.body;
+  const from = callerId(req, req.body.from);
+  if (!from || !content || (!req.body.to && !replyTo)) {
+    return res.status(400).json({ error: 'from, to (ou replyTo) e content são obrigatórios' });
+  }
+  if (typeof from !== 'string' || typeof content !== 'string' ||
+      (req.body.to !== undefined && typeof req.body.to !== 'string')) {
+    return res.status(400).json({ error: 'from, to e content devem ser strings' });
+  }
+  for (const field of ['replyTo', 'correlationId', 'threadId']) {
+    const val = req.body[field];
+    if (val !== undefined && (typeof val !== 'string' || val.length === 0 || val.length > 128)) {
+      return res.status(400).json({ error: `${field} deve ser uma string de 1 a 128 caracteres` });
+    }
+  }
+  if (receipt !== undefined && typeof receipt !== 'boolean') {
+    return res.status(400).json({ error: 'receipt deve ser booleano' });
+  }
+  const { error: priorityError, priority } = parsePriority(req.body.priority);
+  if (priorityError) {
+    return res.status(400).json({ error: priorityError });
+  }
+  const { error: attachmentError, status: attachmentStatus, attachments } = parseAttachments(req.body.attachments);
+  if (attachmentError) {
+    return res.status(attachmentStatus || 400).json({ error: attachmentError });
+  }
+
+  if (!agents.has(from) && from !== 'broker') {
+    return res.status(400).json({ error: `Remetente "${from}" não registrado. Registre-se antes de enviar mensagens.` });
+  }
+
+  let to            = req.body.to;
+  let correlationId = req.body.correlationId;
+  let threadId      = req.body.threadId;
+  if (replyTo) {
+    const original = (messages.get(from) || []).find(m => m.id === replyTo);
+    if (original) {
+      to            = to || original.from;
+      correlationId = correlationId || original.correlationId || original.id;
+      threadId      = threadId || original.threadId;
+    } else if (!to) {
+      return res.status(404).json({ error: `Mensagem "${replyTo}" não encontrada na fila de "${from}" — informe "to" explicitamente` });
+    } else {
+      correlationId = correlationId || replyTo;
+    }
+  }
+
+  if (messageSize(content, payload) > MAX_MESSAGE_CONTENT_SIZE) {
+    return res.status(413).json({ error: `Conteúdo excede o limite de ${MAX_MESSAGE_CONTENT_SIZE / 1024}KB por mensagem` });
+  }
+
+  const typed = parseTypedPayload(type, payload);
+  if (typed.error) {
+    return res.status(400).json({ error: typed.error, ...(typed.issues && { issues: typed.issues }) });
+  }
+  const msgType = typed.type;
+
+  const msg = {
+    id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    from,
+    fromName: agents.get(from)?.name || from,
+    content,
+    type: msgType,
+    timestamp: new Date().toISOString(),
+    read: false,
+    ...(replyTo && { replyTo }),
+    ...(correlationId && { correlationId }),
+    ...(threadId && { threadId }),
+    ...(priority !== 'normal' && { priority }),
+    ...(attachments && { attachments }),
+    ...(typed.payload !== undefined && { payload: typed.payload })
+  };
+
+  if (!hasMailbox(to)) {
+    // Guardada na dead-letter queue: o remetente pode reenviá-la com o "to" corrigido
+    // (IDs de agente têm no máximo 64 caracteres — acima disso nem guarda)
+    const keep = to.length <= 64;
+    if (keep) addDeadLetter(to, msg, 'unknown_recipient');
+    return res.status(404).json({ error: `Agente "${to}" não encontrado`, ...(keep && { deadLetter: msg.id }) });
+  }
+  // Destinatário offline: a mensagem fica na caixa postal até ele voltar
+  const pending = !agents.has(to);
+
+  enqueue(to, msg, receipt === true && from !== 'broker');
+  incMetric('skvil_messages_sent_total', { agent: from, type: msgType });
+  audit('message.send', {
+    agent: from, to, messageId: msg.id, type: msgType, content: auditPreview(content),
+    ...(typed.payload !== undefined && { payload: auditPreview(JSON.stringify(typed.payload)) }),
+    ...(threadId && { threadId }),
+    ...(priority !== 'normal' && { priority }),
+    ...(attachments && { attachments: attachments.map(a => a.id) }),
+    ...(pending && { pending })
+  });
+  if (threadId) appendToThread(threadId, msg, to);
+  const preview = content.length > 80 ? content.slice(0, 80) + '...' : content;
+  console.log(`  ${priority === 'urgent' ? '🚨' : '💬'} ${msg.fromName} → ${agentName(to)}${pending ? ' (offline)' : ''}: ${preview}`);
+  res.json({
+    ok: true, messageId: msg.id, to,
+    ...(pending && { pending }),
+    ...(correlationId && { correlationId }),
+    ...(threadId && { threadId })
+  });
+});
+
+// Broadcast — enviar para todos os agentes (exceto o remetente)
+app.post('/messages/broadcast', (req, res) => {
+  const { content, type, payload } = req.body;
+  const from = callerId(req, req.body.from);
+  if (!from || !content) {
+    return res.status(400).json({ error: 'from e content são obrigatórios' });
+  }
+  if (typeof from !== 'string' || typeof content !== 'string') {
+    return res.status(400).json({ error: 'from e content devem ser strings' });
+  }
+
+  if (!agents.has(from) && from !== 'broker') {
+    return res.status(400).json({ error: `Remetente "${from}" não registrado. Registre-se antes de enviar mensagens.` });
+  }
+
+  if (messageSize(content, payload) > MAX_MESSAGE_CONTENT_SIZE) {
+    return res.status(413).json({ error: `Conteúdo excede o limite de ${MAX_MESSAGE_CONTENT_SIZE / 1024}KB por mensagem` });
+  }
+  const { error: attachmentError, status: attachmentStatus, attachments } = parseAttachments(req.body.attachments);
+  if (attachmentError) {
+    return res.status(attachmentStatus || 400).json({ error: attachmentError });
+  }
+  const { error: priorityError, priority } = parsePriority(req.body.priority);
+  if (priorityError) {
+    return res.status(400).json({ error: priorityError });
+  }
+
+  const typed = parseTypedPayload(type, payload);
+  if (typed.error) {
+    return res.status(400).json({ error: typed.error, ...(typed.issues && { issues: typed.issues }) });
+  }
+  const msgType = typed.type;
+  let count = 0;
+
+  for (const [agentId] of agents) {
+    if (agentId === from) continue;
+    enqueue(agentId, {
+      id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      from,
+      fromName: agents.get(from)?.name || from,
+      content,
+      type: msgType,
+      timestamp: new Date().toISOString(),
+      read: false,
+      ...(priority !== 'normal' && { priority }),
+      ...(attachments && { attachments }),
+      ...(typed.payload !== undefined && { payload: typed.payload })
+    });
+    count++;
+  }
+
+  incMetric('skvil_messages_broadcast_total', { agent: from, type: msgType });
+  audit('message.broadcast', {
+    agent: from, type: msgType, sentTo: count, content: auditPreview(content),
+    ...(priority !== 'normal' && { priority })
+  });
+  console.log(`  📢 Broadcast de ${agents.get(from)?.name || from} para ${count} agentes`);
+  res.json({ ok: true, sentTo: count });
+});
+
+// Ler mensagens de um agente, da maior prioridade para a menor (FIFO dentro de cada uma)
+// ?unread=true → apenas não lidas | ?limit=N → máximo N mensagens
+// Não marca como lidas — use POST /messages/:agentId/ack para confirmar recebimento.
+app.get('/messages/:agentId', (req, res) => {
+  if (!requireSelf(req, res)) return;
+  if (!agents.has(req.params.agentId)) {
+    return res.status(404).json({ error: `Agente "${req.params.agentId}" não registrado` });
+  }
+  const queue = messages.get(req.params.agentId) || [];
+  const unreadOnly = req.query.unread === 'true';
+  const limit = req.query.limit ? Math.max(1, parseInt(req.query.limit, 10) || 50) : null;
+
+  const filtered = byPriority(unreadOnly ? queue.filter(m => !m.read) : queue);
+  const hasMore  = limit !== null && filtered.length > limit;
+  const result   = limit !== null ? filtered.slice(0, limit) : filtered;
+
+  markDelivered(req.params.agentId, result);
+  res.json({ messages: result, total: result.length, hasMore });
+});
+
+// ACK — marca mensagens específicas como lidas
+app.post('/messages/:agentId/ack', (req, res) => {
+  if (!requireSelf(req, res)) return;
+  if (!agents.has(req.params.agentId)) {
+    return res.status(404).json({ error: `Agente "${req.params.agentId}" não registrado` });
+  }
+  const { ids } = req.body;
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'ids deve ser um array não-vazio de message IDs' });
+  }
+  const ackedIds = ackMessages(req.params.agentId, ids);
+  if (ackedIds.length > 0) audit('message.ack', { agent: req.params.agentId, ids: ackedIds, acked: ackedIds.length });
+  res.json({ ok: true, acked: ackedIds.length });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Status de entrega
+// Com autenticação ativa só remetente e destinatário enxergam o status.
+// ══════════════════════════════════════════════
+
+const MAX_STATUS_BATCH = 100;
+
+function visibleStatus(req, messageId) {
+  const status = messageStatus.get(messageId);
+  if (!status) return null;
+  if (req.agentId && req.agentId !== status.from && req.agentId !== status.to) return null;
+  return status;
+}
+
+app.get('/messages/status/:messageId', (req, res) => {
+  const status = visibleStatus(req, req.params.messageId);
+  if (!status) {
+    return res.status(404).json({ error: `Status da mensagem "${req.params.messageId}" não encontrado` });
+  }
+  res.json(status);
+});
+
+// Consulta em lote: { ids: [...] } → { statuses, notFound }
+app.post('/messages/status', (req, res) => {
+  const { ids } = req.body;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_STATUS_BATCH ||
+      ids.some(id => typeof id !== 'string')) {
+    return res.status(400).json({ error: `ids deve ser um array de 1 a ${MAX_STATUS_BATCH} message IDs` });
+  }
+  const statuses = [];
+  const notFound = [];
+  for (const id of ids) {
+    const status = visibleStatus(req, id);
+    if (status) statuses.push(status);
+    else notFound.push(id);
+  }
+  res.json({ statuses, notFound });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Dead-letter queue
+// Mensagens descartadas (fila cheia / limpa), expiradas (destinatário saiu)
+// ou sem destinatário válido. Com autenticação ativa cada agente só enxerga
+// as que enviou ou que eram para ele — e só o remetente pode reenviar.
+// ══════════════════════════════════════════════
+
+const DEAD_LETTER_REASONS = new Set(['queue_full', 'cleared', 'recipient_removed', 'mailbox_discarded', 'unknown_recipient']);
+const MAX_REDELIVER_BATCH = 100;
+
+// Filtros ?from= &to= &reason=, na ordem em que as mensagens morreram
+function filterDeadLetters(req) {
+  const { from, to, reason } = req.query;
+  return [...deadLetters.values()].filter(d =>
+    (!from || d.from === from) &&
+    (!to || d.to === to) &&
+    (!reason || d.reason === reason) &&
+    (!req.agentId || d.from === req.agentId || d.to === req.agentId));
+}
+
+// ?limit=N (padrão 50, máx 500) — mais recentes primeiro
+app.get('/dead-letters', (req, res) => {
+  if (req.query.reason && !DEAD_LETTER_REASONS.has(req.query.reason)) {
+    return res.status(400).json({ error: `reason deve ser um de: ${[...DEAD_LETTER_REASONS].join(', ')}` });
+  }
+  const limit   = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 50), 500);
+  const matched = filterDeadLetters(req).reverse();
+  res.json({ deadLetters: matched.slice(0, limit), total: matched.length, hasMore: matched.length > limit });
+});
+
+// { ids, to? } — devolve as mensagens à fila do destinatário original (ou de "to"),
+// com o mesmo ID; o status de entrega recomeça em queued.
+app.post('/dead-letters/redeliver', (req, res) => {
+  const { ids, to } = req.body;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_REDELIVER_BATCH ||
+      ids.some(id => typeof id !== 'string')) {
+    return res.status(400).json({ error: `ids deve ser um array de 1 a ${MAX_REDELIVER_BATCH} message IDs` });
+  }
+  if (to !== undefined && typeof to !== 'string') {
+    return res.status(400).json({ error: 'to deve ser uma string' });
+  }
+  if (to !== undefined && !hasMailbox(to)) {
+    return res.status(404).json({ error: `Agente "${to}" não encontrado` });
+  }
+
+  const redelivered = [];
+  const failed      = [];
+  for (const id of ids) {
+    const letter = deadLetters.get(id);
+    if (!letter || (req.agentId && letter.from !== req.agentId)) {
+      failed.push({ id, error: 'Mensagem não encontrada na dead-letter queue' });
+      continue;
+    }
+    const target = redeliverDeadLetter(id, to);
+    if (target) {
+      redelivered.push({ id, to: target });
+    } else {
+      failed.push({ id, error: `Agente "${letter.to}" não encontrado — informe "to"` });
+    }
+  }
+  if (redelivered.length > 0) {
+    console.log(`  ♻️  ${redelivered.length} mensagem(ns) reenviada(s) da dead-letter queue`);
+  }
+  res.json({ ok: true, redelivered, failed });
+});
+
+// Apaga as mensagens que casam com os filtros (?from= &to= &reason=) — sem filtro, todas as visíveis
+app.delete('/dead-letters', (req, res) => {
+  if (req.query.reason && !DEAD_LETTER_REASONS.has(req.query.reason)) {
+    return res.status(400).json({ error: `reason deve ser um de: ${[...DEAD_LETTER_REASONS].join(', ')}` });
+  }
+  const purged = removeDeadLetters(filterDeadLetters(req).map(d => d.id));
+  if (purged > 0) console.log(`  🗑️  Dead-letter queue: ${purged} mensagem(ns) apagada(s)`);
+  res.json({ ok: true, purged });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Contexto Compartilhado
+// ══════════════════════════════════════════════
+
+// expectedVersion (opcional): compare-and-set — só grava se a versão atual da chave
+// for essa (0 = a chave não pode existir). Divergência → 409 com currentVersion.
+// ttlSeconds (opcional): a chave expira sozinha; cada escrita redefine (ou remove) o TTL.
+// ephemeral (opcional): a chave some quando o agente que a gravou sai ou é removido pelo reaper.
+app.post('/context', (req, res) => {
+  const { key, value, expectedVersion, ttlSeconds, ephemeral } = req.body;
+  const setBy = callerId(req, req.body.setBy);
+  if (!key || value === undefined || value === null) {
+    return res.status(400).json({ error: 'key e value são obrigatórios' });
+  }
+  if (typeof key !== 'string') {
+    return res.status(400).json({ error: 'key deve ser uma string' });
+  }
+  if (key.length > 256) {
+    return res.status(400).json({ error: 'key deve ter no máximo 256 caracteres' });
+  }
+  if (expectedVersion !== undefined && (!Number.isInteger(expectedVersion) || expectedVersion < 0)) {
+    return res.status(400).json({ error: 'expectedVersion deve ser um inteiro >= 0' });
+  }
+  if (ttlSeconds !== undefined && (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_CONTEXT_TTL_SECONDS)) {
+    return res.status(400).json({ error: `ttlSeconds deve ser um inteiro entre 1 e ${MAX_CONTEXT_TTL_SECONDS}` });
+  }
+  if (ephemeral !== undefined && typeof ephemeral !== 'boolean') {
+    return res.status(400).json({ error: 'ephemeral deve ser booleano' });
+  }
+  if (ephemeral && !agents.has(setBy)) {
+    return res.status(400).json({ error: 'Chaves efêmeras exigem um setBy registrado (o dono da chave)' });
+  }
+
+  const currentVersion = liveContext(key)?.version || 0;
+  const version        = nextContextVersion(key);
+  if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+    return res.status(409).json({
+      error: `Conflito de versão em "${key}": esperada ${expectedVersion}, atual ${currentVersion}`,
+      currentVersion
+    });
+  }
+
+  if (Buffer.byteLength(JSON.stringify(value), 'utf8') > MAX_CONTEXT_VALUE_SIZE) {
+    return res.status(413).json({ error: `Valor excede o limite de ${MAX_CONTEXT_VALUE_SIZE / 1024}KB` });
+  }
+
+  if (!sharedContext.has(key) && sharedContext.size >= MAX_CONTEXT_KEYS) {
+    return res.status(429).json({ error: `Limite de ${MAX_CONTEXT_KEYS} chaves de contexto atingido` });
+  }
+
+  const expiresAt = ttlSeconds ? new Date(Date.now() + ttlSeconds * 1000).toISOString() : null;
+
+  setContext(key, {
+    value,
+    setBy: setBy || 'unknown',
+    setByName: agents.get(setBy)?.name || setBy,
+    timestamp: new Date().toISOString(),
+    version,
+    ...(expiresAt && { expiresAt }),
+    ...(ephemeral && { ephemeral: true })
+  });
+
+  audit('context.set', {
+    agent: setBy || 'unknown', key, version,
+    value: auditPreview(JSON.stringify(value)),
+    ...(expiresAt && { expiresAt })
+  });
+  console.log(`  📦 Contexto salvo: "${key}" v${version} por ${agents.get(setBy)?.name || setBy}`);
+  res.json({ ok: true, key, version, ...(expiresAt && { expiresAt }) });
+});
+
+// ?version=N → revisão específica (apenas as últimas MAX_CONTEXT_REVISIONS ficam guardadas)
+app.get('/context/:key', (req, res) => {
+  const ctx = liveContext(req.params.key);
+  if (!ctx) {
+    return res.status(404).json({ error: `Contexto "${req.params.key}" não encontrado` });
+  }
+  if (req.query.version === undefined) return res.json(ctx);
+
+  const version  = parseInt(req.query.version, 10);
+  const revision = (contextHistory.get(req.params.key) || []).find(r => r.version === version);
+  if (!revision) {
+    return res.status(404).json({ error: `Versão ${req.query.version} de "${req.params.key}" não disponível (versão atual: ${ctx.version})` });
+  }
+  res.json(revision);
+});
+
+// Revisões guardadas, da mais recente para a mais antiga
+app.get('/context/:key/history', (req, res) => {
+  const ctx = liveContext(req.params.key);
+  if (!ctx) {
+    return res.status(404).json({ error: `Contexto "${req.params.key}" não encontrado` });
+  }
+  const revisions = [...(contextHistory.get(req.params.key) || [ctx])].reverse();
+  res.json({ key: req.params.key, currentVersion: ctx.version, revisions });
+});
+
+// ?prefix=<p> filtra por namespace (ex: "api/") | ?limit=N&offset=M pagina
+// Ordenado por chave para a paginação ser estável.
+app.get('/context', (req, res) => {
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+  const limit  = req.query.limit ? Math.max(1, parseInt(req.query.limit, 10) || 100) : null;
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+  const keys = [];
+  for (const key of [...sharedContext.keys()].sort()) {
+    if (!key.startsWith(prefix)) continue;
+    const info = liveContext(key);
+    if (!info) continue;
+    keys.push({
+      key,
+      setBy: info.setByName,
+      timestamp: info.timestamp,
+      version: info.version,
+      ...(info.expiresAt && { expiresAt: info.expiresAt }),
+      ...(info.ephemeral && { ephemeral: true })
+    });
+  }
+
+  const page = limit !== null ? keys.slice(offset, offset + limit) : keys.slice(offset);
+  res.json({ contexts: page, total: keys.length, hasMore: offset + page.length < keys.length });
+});
+
+// Com autenticação ativa, só quem gravou a chave (ou o operador, com o BROKER_TOKEN) pode apagá-la
+function canDeleteContext(req, ctx) {
+  return !AUTH_TOKEN || req.operator || ctx.setBy === req.agentId;
+}
+
+app.delete('/context/:key', (req, res) => {
+  const ctx = sharedContext.get(req.params.key);
+  if (ctx && !canDeleteContext(req, ctx)) {
+    return res.status(403).json({ error: `A chave "${req.params.key}" foi gravada por "${ctx.setBy}" — só esse agente (ou o operador) pode apagá-la` });
+  }
+  if (deleteContext(req.params.key)) {
+    audit('context.delete', { agent: req.operator ? 'broker' : callerId(req) || 'unknown', key: req.params.key });
+  }
+  res.json({ ok: true });
+});
+
+// Remoção em massa por namespace — prefix é obrigatório para não apagar tudo por engano
+app.delete('/context', (req, res) => {
+  const prefix = req.query.prefix;
+  if (typeof prefix !== 'string' || prefix.length === 0) {
+    return res.status(400).json({ error: 'prefix é obrigatório (ex: DELETE /context?prefix=api/)' });
+  }
+  // Chaves de outros agentes no mesmo namespace ficam (e são contadas em skipped)
+  let deleted = 0;
+  let skipped = 0;
+  for (const [key, ctx] of [...sharedContext]) {
+    if (!key.startsWith(prefix)) continue;
+    if (!canDeleteContext(req, ctx)) {
+      skipped++;
+    } else if (deleteContext(key)) {
+      audit('context.delete', { agent: req.operator ? 'broker' : callerId(req) || 'unknown', key, prefix });
+      deleted++;
+    }
+  }
+  console.log(`  🗑️  Contextos removidos com prefixo "${prefix}": ${deleted}${skipped ? ` (${skipped} de outros agentes mantido(s))` : ''}`);
+  res.json({ ok: true, deleted, ...(skipped && { skipped }) });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Canais (pub/sub por tópico)
+// Publicar num canal entrega para os inscritos (exceto o remetente)
+// usando o mesmo enqueue das mensagens diretas.
+// ══════════════════════════════════════════════
+
+const CHANNEL_NAME_RE = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+function isValidChannelName(name) {
+  return typeof name === 'string' && CHANNEL_NAME_RE.test(name);
+}
+
+function validateChannelParam(req, res) {
+  if (!isValidChannelName(req.params.channel)) {
+    res.status(400).json({ error: 'Nome de canal inválido: use letras minúsculas, números, ".", "_" ou "-" (máx 64)' });
+    return false;
+  }
+  return true;
+}
+
+app.get('/channels', (req, res) => {
+  const list = [];
+  for (const [channel, subs] of channels) {
+    list.push({ channel, subscribers: subs.size, subscriberIds: [...subs] });
+  }
+  res.json({ channels: list });
+});
+
+app.post('/channels/:channel/subscribe', (req, res) => {
+  if (!validateChannelParam(req, res)) return;
+  const agentId = callerId(req, req.body.agentId);
+  const { channel } = req.params;
+  if (!agentId || typeof agentId !== 'string') {
+    return res.status(400).json({ error: 'agentId é obrigatório' });
+  }
+  if (!agents.has(agentId)) {
+    return res.status(404).json({ error: `Agente "${agentId}" não registrado` });
+  }
+  if (!channels.has(channel) && channels.size >= MAX_CHANNELS) {
+    return res.status(429).json({ error: `Limite de ${MAX_CHANNELS} canais atingido` });
+  }
+  const added = subscribeChannel(channel, agentId);
+  if (added) console.log(`  📡 ${agents.get(agentId).name} assinou #${channel}`);
+  res.json({ ok: true, channel, subscribers: channels.get(channel).size });
+});
+
+app.post('/channels/:channel/unsubscribe', (req, res) => {
+  if (!validateChannelParam(req, res)) return;
+  const agentId = callerId(req, req.body.agentId);
+  const { channel } = req.params;
+  if (!agentId || typeof agentId !== 'string') {
+    return res.status(400).json({ error: 'agentId é obrigatório' });
+  }
+  const removed = unsubscribeChannel(channel, agentId);
+  if (removed) console.log(`  📡 ${agents.get(agentId)?.name || agentId} saiu de #${channel}`);
+  res.json({ ok: true, channel, removed, subscribers: channels.get(channel)?.size || 0 });
+});
+
+app.post('/channels/:channel/publish', (req, res) => {
+  if (!validateChannelParam(req, res)) return;
+  const { content, type, payload } = req.body;
+  const from = callerId(req, req.body.from);
+  const { channel } = req.params;
+  if (channel === PRESENCE_CHANNEL) {
+    return res.status(403).json({ error: `Canal "${PRESENCE_CHANNEL}" é reservado para eventos de presença do broker` });
+  }
+  if (!from || !content) {
+    return res.status(400).json({ error: 'from e content são obrigatórios' });
+  }
+  if (typeof from !== 'string' || typeof content !== 'string') {
+    return res.status(400).json({ error: 'from e content devem ser strings' });
+  }
+
+  if (!agents.has(from) && from !== 'broker') {
+    return res.status(400).json({ error: `Remetente "${from}" não registrado. Registre-se antes de enviar mensagens.` });
+  }
+
+  if (messageSize(content, payload) > MAX_MESSAGE_CONTENT_SIZE) {
+    return res.status(413).json({ error: `Conteúdo excede o limite de ${MAX_MESSAGE_CONTENT_SIZE / 1024}KB por mensagem` });
+  }
+  const { error: attachmentError, status: attachmentStatus, attachments } = parseAttachments(req.body.attachments);
+  if (attachmentError) {
+    return res.status(attachmentStatus || 400).json({ error: attachmentError });
+  }
+  const { error: priorityError, priority } = parsePriority(req.body.priority);
+  if (priorityError) {
+    return res.status(400).json({ error: priorityError });
+  }
+
+  const typed = parseTypedPayload(type, payload);
+  if (typed.error) {
+    return res.status(400).json({ error: typed.error, ...(typed.issues && { issues: typed.issues }) });
+  }
+  const msgType = typed.type;
+  let count = 0;
+
+  for (const agentId of channels.get(channel) || []) {
+    if (agentId === from) continue;
+    enqueue(agentId, {
+      id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      from,
+      fromName: agents.get(from)?.name || from,
+      content,
+      type: msgType,
+      timestamp: new Date().toISOString(),
+      read: false,
+      ...(priority !== 'normal' && { priority }),
+      channel,
+      ...(attachments && { attachments }),
+      ...(typed.payload !== undefined && { payload: typed.payload })
+    });
+    count++;
+  }
+
+  incMetric('skvil_messages_broadcast_total', { agent: from, type: msgType });
+  audit('message.broadcast', {
+    agent: from, channel, type: msgType, sentTo: count, content: auditPreview(content),
+    ...(priority !== 'normal' && { priority })
+  });
+  console.log(`  📡 #${channel}: ${agents.get(from)?.name || from} publicou para ${count} inscrito(s)`);
+  res.json({ ok: true, channel, sentTo: count });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Locks / leases
+// Um lock tem dono e TTL; expira sozinho se não for renovado e é liberado
+// quando o dono sai ou é removido pelo reaper. Com wait=true, quem pede um
+// lock ocupado entra na fila e o recebe automaticamente quando ele vagar.
+// ══════════════════════════════════════════════
+
+const LOCK_NAME_RE = /^[\w./-]{1,128}$/;
+
+function lockView(name, lock) {
+  return {
+    name,
+    holder: lock.holder,
+    holderName: lock.holderName,
+    acquiredAt: lock.acquiredAt,
+    expiresAt: lock.expiresAt,
+    waiters: lock.waiters
+  };
+}
+
+function parseLockRequest(req, res) {
+  const { name } = req.params;
+  if (!LOCK_NAME_RE.test(name)) {
+    res.status(400).json({ error: 'Nome de lock inválido: use letras, números, ".", "_", "/" ou "-" (máx 128)' });
+    return null;
+  }
+  const agentId = callerId(req, req.body.agentId);
+  if (!agentId || typeof agentId !== 'string') {
+    res.status(400).json({ error: 'agentId é obrigatório' });
+    return null;
+  }
+  if (!agents.has(agentId)) {
+    res.status(404).json({ error: `Agente "${agentId}" não registrado` });
+    return null;
+  }
+  const ttlSeconds = req.body.ttlSeconds ?? DEFAULT_LOCK_TTL_SECONDS;
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_LOCK_TTL_SECONDS) {
+    res.status(400).json({ error: `ttlSeconds deve ser um inteiro entre 1 e ${MAX_LOCK_TTL_SECONDS}` });
+    return null;
+  }
+  // Lock vencido é tratado como livre
+  const current = locks.get(name);
+  if (current && isLockExpired(current)) releaseLock(name, 'expirado');
+  return { name, agentId, ttlSeconds };
+}
+
+app.get('/locks', (req, res) => {
+  const now  = Date.now();
+  const list = [];
+  for (const [name, lock] of locks) {
+    if (!isLockExpired(lock, now)) list.push(lockView(name, lock));
+  }
+  res.json({ locks: list });
+});
+
+// Adquirir um lock que já é seu equivale a renovar
+app.post('/locks/:name/acquire', (req, res) => {
+  const parsed = parseLockRequest(req, res);
+  if (!parsed) return;
+  const { name, agentId, ttlSeconds } = parsed;
+  const lock = locks.get(name);
+
+  if (lock?.holder === agentId) {
+    return res.json({ ok: true, acquired: true, lock: lockView(name, renewLock(name, lock, ttlSeconds)) });
+  }
+  if (!lock) {
+    if (locks.size >= MAX_LOCKS) {
+      return res.status(429).json({ error: `Limite de ${MAX_LOCKS} locks atingido` });
+    }
+    const granted = grantLock(name, agentId, ttlSeconds);
+    console.log(`  🔒 Lock "${name}" adquirido por ${granted.holderName}`);
+    return res.json({ ok: true, acquired: true, lock: lockView(name, granted) });
+  }
+
+  let queuePosition = lock.waiters.indexOf(agentId) + 1;
+  if (req.body.wait === true && queuePosition === 0) {
+    putLock(name, { ...lock, waiters: [...lock.waiters, agentId] });
+    queuePosition = lock.waiters.length + 1;
+  }
+  res.json({ ok: true, acquired: false, lock: lockView(name, locks.get(name)), ...(queuePosition > 0 && { queuePosition }) });
+});
+
+app.post('/locks/:name/renew', (req, res) => {
+  const parsed = parseLockRequest(req, res);
+  if (!parsed) return;
+  const { name, agentId, ttlSeconds } = parsed;
+  const lock = locks.get(name);
+  if (!lock) {
+    return res.status(404).json({ error: `Lock "${name}" não existe (ou expirou) — adquira de novo` });
+  }
+  if (lock.holder !== agentId) {
+    return res.status(409).json({ error: `Lock "${name}" pertence a "${lock.holder}"` });
+  }
+  res.json({ ok: true, lock: lockView(name, renewLock(name, lock, ttlSeconds)) });
+});
+
+// Liberar também serve para sair da fila de espera
+app.post('/locks/:name/release', (req, res) => {
+  const parsed = parseLockRequest(req, res);
+  if (!parsed) return;
+  const { name, agentId } = parsed;
+  const lock = locks.get(name);
+  if (!lock) {
+    return res.json({ ok: true, released: false });
+  }
+  if (lock.holder === agentId) {
+    releaseLock(name, `liberado por ${lock.holderName}`);
+    return res.json({ ok: true, released: true });
+  }
+  if (lock.waiters.includes(agentId)) {
+    putLock(name, { ...lock, waiters: lock.waiters.filter(id => id !== agentId) });
+    return res.json({ ok: true, released: false, leftQueue: true });
+  }
+  res.status(409).json({ error: `Lock "${name}" pertence a "${lock.holder}"` });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Tarefas (fila de trabalho)
+// Ciclo de vida: open → claimed → in_progress → done | failed
+// O claim é atômico (o broker é single-threaded): só um agente leva a tarefa.
+// Se quem a pegou sair ou for removido pelo reaper, ela volta para open.
+// ══════════════════════════════════════════════
+
+const TASK_PRIORITIES      = ['low', 'normal', 'high', 'urgent'];
+const TASK_STATUSES        = new Set(['open', 'claimed', 'in_progress', 'done', 'failed']);
+const TASK_ACTIVE_STATUSES = new Set(['claimed', 'in_progress']);
+
+function taskPriorityRank(task) {
+  return TASK_PRIORITIES.indexOf(task.priority);
+}
+
+// Abre espaço descartando as tarefas finalizadas mais antigas
+function pruneFinishedTasks() {
+  for (const task of tasks.values()) {
+    if (tasks.size < MAX_TASKS) return;
+    if (task.status === 'done' || task.status === 'failed') deleteTask(task.id);
+  }
+}
+
+// Avisa o criador da tarefa (se ainda estiver registrado)
+function notifyTaskCreator(task, content) {
+  if (!hasMailbox(task.createdBy) || task.createdBy === task.claimedBy) return;
+  enqueue(task.createdBy, {
+    id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    from: 'broker',
+    fromName: 'Broker',
+    content,
+    type: 'text',
+    timestamp: new Date().toISOString(),
+    read: false,
+    taskId: task.id
+  });
+}
+
+function claimTask(task, agentId) {
+  const now = new Date().toISOString();
+  const claimed = {
+    ...task,
+    status: 'claimed',
+    claimedBy: agentId,
+    claimedByName: agents.get(agentId)?.name || agentId,
+    claimedAt: now,
+    updatedAt: now,
+    attempts: task.attempts + 1
+  };
+  putTask(claimed);
+  console.log(`  📋 Tarefa "${task.title}" (${task.id}) pega por ${claimed.claimedByName}`);
+  return claimed;
+}
+
+// Valida agentId + tarefa para as transições feitas por quem a pegou
+function loadClaimedTask(req, res) {
+  const agentId = callerId(req, req.body.agentId);
+  const task    = tasks.get(req.params.taskId);
+  if (!task) {
+    res.status(404).json({ error: `Tarefa "${req.params.taskId}" não encontrada` });
+    return null;
+  }
+  if (!TASK_ACTIVE_STATUSES.has(task.status)) {
+    res.status(409).json({ error: `Tarefa "${task.id}" está "${task.status}" — só tarefas em andamento aceitam atualização` });
+    return null;
+  }
+  if (task.claimedBy !== agentId) {
+    res.status(409).json({ error: `Tarefa "${task.id}" pertence a "${task.claimedBy}"` });
+    return null;
+  }
+  return { task, agentId };
+}
+
+function validateTaskText(res, field, val, required, maxSize = MAX_TASK_TEXT_SIZE) {
+  if (val === undefined && !required) return true;
+  if (typeof val !== 'string' || (required && val.length === 0)) {
+    res.status(400).json({ error: `${field} deve ser uma string${required ? ' não-vazia' : ''}` });
+    return false;
+  }
+  if (Buffer.byteLength(val, 'utf8') > maxSize) {
+    res.status(413).json({ error: `${field} excede o limite de ${maxSize / 1024}KB` });
+    return false;
+  }
+  return true;
+}
+
+app.post('/tasks', (req, res) => {
+  const { title, description, capability } = req.body;
+  const priority  = req.body.priority ?? 'normal';
+  const createdBy = callerId(req, req.body.createdBy);
+  if (!validateTaskText(res, 'title', title, true)) return;
+  if (title.length > 200) {
+    return res.status(400).json({ error: 'title deve ter no máximo 200 caracteres' });
+  }
+  if (!validateTaskText(res, 'description', description, false)) return;
+  if (capability !== undefined && (typeof capability !== 'string' || capability.length === 0 || capability.length > 64)) {
+    return res.status(400).json({ error: 'capability deve ser uma string de 1 a 64 caracteres' });
+  }
+  if (!TASK_PRIORITIES.includes(priority)) {
+    return res.status(400).json({ error: `priority deve ser um de: ${TASK_PRIORITIES.join(', ')}` });
+  }
+  if (!createdBy || (!agents.has(createdBy) && createdBy !== 'broker')) {
+    return res.status(400).json({ error: 'createdBy deve ser um agente registrado' });
+  }
+
+  if (tasks.size >= MAX_TASKS) pruneFinishedTasks();
+  if (tasks.size >= MAX_TASKS) {
+    return res.status(429).json({ error: `Limite de ${MAX_TASKS} tarefas abertas atingido` });
+  }
+
+  const now  = new Date().toISOString();
+  const task = {
+    id: `task_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    title,
+    description: description || '',
+    capability: capability || null,
+    priority,
+    status: 'open',
+    createdBy,
+    createdByName: agents.get(createdBy)?.name || createdBy,
+    createdAt: now,
+    updatedAt: now,
+    claimedBy: null,
+    claimedByName: null,
+    claimedAt: null,
+    attempts: 0,
+    progress: [],
+    result: null,
+    error: null
+  };
+  putTask(task);
+  console.log(`  📋 Tarefa criada por ${task.createdByName}: "${title}" [${priority}]${capability ? ` — requer ${capability}` : ''}`);
+  res.json({ ok: true, task });
+});
+
+// ?status= | ?capability= | ?claimedBy= | ?createdBy= — ordenado por prioridade e depois antiguidade
+app.get('/tasks', (req, res) => {
+  const { status, capability, claimedBy, createdBy } = req.query;
+  if (status !== undefined && !TASK_STATUSES.has(status)) {
+    return res.status(400).json({ error: `status deve ser um de: ${[...TASK_STATUSES].join(', ')}` });
+  }
+  const list = [...tasks.values()].filter(t =>
+    (status === undefined || t.status === status) &&
+    (capability === undefined || t.capability === capability) &&
+    (claimedBy === undefined || t.claimedBy === claimedBy) &&
+    (createdBy === undefined || t.createdBy === createdBy)
+  );
+  list.sort((a, b) => taskPriorityRank(b) - taskPriorityRank(a) || a.createdAt.localeCompare(b.createdAt));
+  res.json({ tasks: list });
+});
+
+app.get('/tasks/:taskId', (req, res) => {
+  const task = tasks.get(req.params.taskId);
+  if (!task) {
+    return res.status(404).json({ error: `Tarefa "${req.params.taskId}" não encontrada` });
+  }
+  res.json(task);
+});
+
+// Pega a próxima tarefa aberta de maior prioridade (mais antiga primeiro).
+// capabilities: lista do que o agente sabe fazer — tarefas sem capability servem a qualquer um.
+// capabilities (opcional): padrão são as capabilities declaradas pelo agente no registro
+app.post('/tasks/claim-next', (req, res) => {
+  const agentId = callerId(req, req.body.agentId);
+  if (!agents.has(agentId)) {
+    return res.status(404).json({ error: `Agente "${agentId}" não registrado` });
+  }
+  const capabilities = req.body.capabilities ?? agents.get(agentId).capabilities ?? [];
+  if (!Array.isArray(capabilities) || !capabilities.every(c => typeof c === 'string')) {
+    return res.status(400).json({ error: 'capabilities deve ser um array de strings' });
+  }
+
+  let best = null;
+  for (const task of tasks.values()) {
+    if (task.status !== 'open') continue;
+    if (task.capability && !capabilities.includes(task.capability)) continue;
+    if (!best || taskPriorityRank(task) > taskPriorityRank(best) ||
+        (taskPriorityRank(task) === taskPriorityRank(best) && task.createdAt < best.createdAt)) {
+      best = task;
+    }
+  }
+  if (!best) return res.json({ ok: true, task: null });
+  res.json({ ok: true, task: claimTask(best, agentId) });
+});
+
+app.post('/tasks/:taskId/claim', (req, res) => {
+  const agentId = callerId(req, req.body.agentId);
+  const task    = tasks.get(req.params.taskId);
+  if (!agents.has(agentId)) {
+    return res.status(404).json({ error: `Agente "${agentId}" não registrado` });
+  }
+  if (!task) {
+    return res.status(404).json({ error: `Tarefa "${req.params.taskId}" não encontrada` });
+  }
+  if (task.status !== 'open') {
+    return res.status(409).json({ error: `Tarefa "${task.id}" não está aberta (status: ${task.status}${task.claimedBy ? `, com ${task.claimedBy}` : ''})` });
+  }
+  res.json({ ok: true, task: claimTask(task, agentId) });
+});
+
+app.post('/tasks/:taskId/progress', (req, res) => {
+  const loaded = loadClaimedTask(req, res);
+  if (!loaded) return;
+  const { task, agentId } = loaded;
+  const { note, percent } = req.body;
+  if (!validateTaskText(res, 'note', note, true, MAX_TASK_NOTE_SIZE)) return;
+  if (percent !== undefined && (typeof percent !== 'number' || percent < 0 || percent > 100)) {
+    return res.status(400).json({ error: 'percent deve ser um número entre 0 e 100' });
+  }
+  const now = new Date().toISOString();
+  const updated = {
+    ...task,
+    status: 'in_progress',
+    updatedAt: now,
+    progress: withProgress(task, { at: now, by: agentId, note, ...(percent !== undefined && { percent }) })
+  };
+  putTask(updated);
+  res.json({ ok: true, task: updated });
+});
+
+app.post('/tasks/:taskId/complete', (req, res) => {
+  const loaded = loadClaimedTask(req, res);
+  if (!loaded) return;
+  const { task } = loaded;
+  const { result } = req.body;
+  if (!validateTaskText(res, 'result', result, false)) return;
+  const updated = { ...task, status: 'done', result: result || null, updatedAt: new Date().toISOString() };
+  putTask(updated);
+  console.log(`  ✅ Tarefa "${task.title}" (${task.id}) concluída por ${task.claimedByName}`);
+  notifyTaskCreator(updated, `✅ Tarefa "${task.title}" (${task.id}) concluída por ${task.claimedByName}.${result ? `\n\nResultado:\n${result}` : ''}`);
+  res.json({ ok: true, task: updated });
+});
+
+// requeue=true devolve a tarefa para a fila em vez de marcá-la como falha
+app.post('/tasks/:taskId/fail', (req, res) => {
+  const loaded = loadClaimedTask(req, res);
+  if (!loaded) return;
+  const { task, agentId } = loaded;
+  const { error } = req.body;
+  if (!validateTaskText(res, 'error', error, true)) return;
+  const now = new Date().toISOString();
+
+  if (req.body.requeue === true) {
+    const requeued = {
+      ...task,
+      status: 'open',
+      claimedBy: null,
+      claimedByName: null,
+      claimedAt: null,
+      updatedAt: now,
+      progress: withProgress(task, { at: now, by: agentId, note: `Devolvida à fila: ${error}` })
+    };
+    putTask(requeued);
+    console.log(`  ♻️  Tarefa "${task.title}" (${task.id}) devolvida à fila por ${task.claimedByName}`);
+    return res.json({ ok: true, task: requeued });
+  }
+
+  const updated = { ...task, status: 'failed', error, updatedAt: now };
+  putTask(updated);
+  console.log(`  ❌ Tarefa "${task.title}" (${task.id}) falhou com ${task.claimedByName}`);
+  notifyTaskCreator(updated, `❌ Tarefa "${task.title}" (${task.id}) falhou com ${task.claimedByName}:\n\n${error}`);
+  res.json({ ok: true, task: updated });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Agendamentos (mensagens atrasadas e recorrentes)
+// Um agendamento dispara uma vez (deliverAt / delaySeconds) ou se repete a
+// cada intervalSeconds ou conforme uma expressão cron de 5 campos, na hora
+// local do broker. to="*" entrega a todos os agentes online (menos o
+// remetente). Disparos perdidos com o broker parado não se acumulam: o
+// atrasado sai uma vez no início e o próximo é calculado a partir de agora.
+// ══════════════════════════════════════════════
+
+const CRON_FIELDS = [
+  { name: 'minuto',        min: 0, max: 59 },
+  { name: 'hora',          min: 0, max: 23 },
+  { name: 'dia do mês',    min: 1, max: 31 },
+  { name: 'mês',           min: 1, max: 12 },
+  { name: 'dia da semana', min: 0, max: 7 }  // 0 e 7 = domingo
+];
+
+// "*", "5", "1-5", "*/15", "10-40/10" e listas separadas por vírgula
+function parseCronField(part, { name, min, max }) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const m = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`${name}: "${item}" inválido`);
+    const start = m[1] ? min : Number(m[2]);
+    const end   = m[1] ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : start;
+    const step  = m[4] ? Number(m[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`${name}: "${item}" fora do intervalo ${min}-${max}`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+// "minuto hora dia-do-mês mês dia-da-semana" → conjuntos de valores. Lança Error se inválida.
+function parseCron(expr) {
+  const parts = expr.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('use 5 campos: minuto hora dia-do-mês mês dia-da-semana (ex: "0 9 * * 1-5")');
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+// Como no cron clássico: com dia do mês e dia da semana restritos, basta um casar
+function cronDayMatches(cron, date) {
+  if (cron.anyDay) return cron.weekdays.has(date.getDay());
+  if (cron.anyWeekday) return cron.days.has(date.getDate());
+  return cron.days.has(date.getDate()) || cron.weekdays.has(date.getDay());
+}
+
+// Primeiro minuto depois de `after` (ms) que casa com a expressão, ou null se
+// não houver nenhum nos próximos 5 anos (ex: "0 0 30 2 *")
+function nextCronRun(cron, after) {
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = after + 5 * 366 * 24 * 3600_000;
+  while (t.getTime() <= limit) {
+    if (!cron.months.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+    } else {
+      return t.getTime();
+    }
+  }
+  return null;
+}
+
+// Próxima execução de um agendamento recorrente depois de `now`; null = acabou
+function nextScheduleRun(schedule, now) {
+  if (schedule.cron) return nextCronRun(parseCron(schedule.cron), now);
+  if (schedule.intervalSeconds) {
+    const next = Date.parse(schedule.nextRunAt) + schedule.intervalSeconds * 1000;
+    return next > now ? next : now + schedule.intervalSeconds * 1000;
+  }
+  return null;
+}
+
+function scheduleTarget(schedule) {
+  return schedule.to === '*' ? 'todos' : agentName(schedule.to);
+}
+
+// Entrega uma execução do agendamento. Destinatário que não existe mais →
+// dead-letter, e o agendamento é cancelado.
+// Agendamentos de um criador que saiu de vez (sem caixa postal) são cancelados
+function cancelAgentSchedules(agentId) {
+  for (const schedule of [...schedules.values()]) {
+    if (schedule.from !== agentId) continue;
+    deleteSchedule(schedule.id);
+    audit('schedule.cancel', { agent: 'broker', to: schedule.to, scheduleId: schedule.id, reason: 'creator_removed' });
+    console.log(`  ⏰ Agendamento ${schedule.id} cancelado — criador "${agentId}" saiu`);
+  }
+}
+
+function runSchedule(schedule, now = Date.now()) {
+  // Rede de segurança: criador que não existe mais (nem online nem com caixa postal)
+  if (schedule.from !== 'broker' && !agents.has(schedule.from) && !offlineAgents.has(schedule.from)) {
+    cancelAgentSchedules(schedule.from);
+    return;
+  }
+  const build = () => ({
+    id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    from: schedule.from,
+    fromName: agents.get(schedule.from)?.name || schedule.fromName,
+    content: schedule.content,
+    type: schedule.type,
+    timestamp: new Date(now).toISOString(),
+    read: false,
+    ...(schedule.priority && { priority: schedule.priority }),
+    scheduleId: schedule.id,
+    ...(schedule.payload !== undefined && { payload: schedule.payload })
+  });
+  const preview = schedule.content.length > 80 ? schedule.content.slice(0, 80) + '...' : schedule.content;
+
+  if (schedule.to === '*') {
+    let count = 0;
+    for (const agentId of agents.keys()) {
+      if (agentId === schedule.from) continue;
+      enqueue(agentId, build());
+      count++;
+    }
+    incMetric('skvil_messages_broadcast_total', { agent: schedule.from, type: schedule.type });
+    audit('message.broadcast', {
+      agent: schedule.from, type: schedule.type, sentTo: count, content: auditPreview(schedule.content),
+      scheduleId: schedule.id
+    });
+    console.log(`  ⏰ ${schedule.fromName} → ${count} agente(s) (agendamento ${schedule.id}): ${preview}`);
+  } else if (hasMailbox(schedule.to)) {
+    const msg = build();
+    enqueue(schedule.to, msg);
+    incMetric('skvil_messages_sent_total', { agent: schedule.from, type: schedule.type });
+    audit('message.send', {
+      agent: schedule.from, to: schedule.to, messageId: msg.id, type: schedule.type,
+      content: auditPreview(schedule.content), scheduleId: schedule.id
+    });
+    console.log(`  ⏰ ${schedule.fromName} → ${agentName(schedule.to)} (agendamento ${schedule.id}): ${preview}`);
+  } else {
+    addDeadLetter(schedule.to, build(), 'unknown_recipient');
+    deleteSchedule(schedule.id);
+    console.log(`  ⏰ Agendamento ${schedule.id} cancelado — agente "${schedule.to}" não existe mais`);
+    return;
+  }
+
+  const runs = schedule.runs + 1;
+  const next = schedule.maxRuns && runs >= schedule.maxRuns ? null : nextScheduleRun(schedule, now);
+  if (next === null) {
+    deleteSchedule(schedule.id);
+  } else {
+    putSchedule({ ...schedule, runs, lastRunAt: new Date(now).toISOString(), nextRunAt: new Date(next).toISOString() });
+  }
+}
+
+function runDueSchedules(now = Date.now()) {
+  for (const schedule of [...schedules.values()]) {
+    if (Date.parse(schedule.nextRunAt) <= now) runSchedule(schedule, now);
+  }
+}
+
+// Valida e monta um agendamento a partir do body (rota e console usam o mesmo caminho).
+// Retorna { schedule } ou { error, status, issues? }.
+function buildSchedule(from, body) {
+  const { to, content, type, payload, deliverAt, delaySeconds, intervalSeconds, cron, maxRuns } = body;
+  if (typeof to !== 'string' || !to || typeof content !== 'string' || !content) {
+    return { error: 'to e content são obrigatórios (to="*" para todos os agentes)', status: 400 };
+  }
+  if (to !== '*' && !hasMailbox(to)) {
+    return { error: `Agente "${to}" não encontrado`, status: 404 };
+  }
+  if (messageSize(content, payload) > MAX_MESSAGE_CONTENT_SIZE) {
+    return { error: `Conteúdo excede o limite de ${MAX_MESSAGE_CONTENT_SIZE / 1024}KB por mensagem`, status: 413 };
+  }
+  const typed = parseTypedPayload(type, payload);
+  if (typed.error) return { error: typed.error, status: 400, ...(typed.issues && { issues: typed.issues }) };
+  const { error: priorityError, priority } = parsePriority(body.priority);
+  if (priorityError) return { error: priorityError, status: 400 };
+
+  if (deliverAt !== undefined && delaySeconds !== undefined) {
+    return { error: 'informe deliverAt ou delaySeconds, não os dois', status: 400 };
+  }
+  if (intervalSeconds !== undefined && cron !== undefined) {
+    return { error: 'informe intervalSeconds ou cron, não os dois', status: 400 };
+  }
+  if (deliverAt === undefined && delaySeconds === undefined && intervalSeconds === undefined && cron === undefined) {
+    return { error: 'informe quando: deliverAt, delaySeconds, intervalSeconds ou cron', status: 400 };
+  }
+
+  const now = Date.now();
+  let start = null;
+  if (deliverAt !== undefined) {
+    start = typeof deliverAt === 'string' ? Date.parse(deliverAt) : NaN;
+    if (Number.isNaN(start)) return { error: 'deliverAt deve ser uma data ISO 8601', status: 400 };
+    if (start <= now) return { error: 'deliverAt já passou', status: 400 };
+  }
+  if (delaySeconds !== undefined) {
+    if (!Number.isInteger(delaySeconds) || delaySeconds < 1) {
+      return { error: 'delaySeconds deve ser um inteiro >= 1', status: 400 };
+    }
+    start = now + delaySeconds * 1000;
+  }
+  if (start !== null && start - now > MAX_SCHEDULE_HORIZON * 1000) {
+    return { error: `a primeira entrega pode ser no máximo ${MAX_SCHEDULE_HORIZON / 86400} dias à frente`, status: 400 };
+  }
+  if (intervalSeconds !== undefined && (!Number.isInteger(intervalSeconds) ||
+      intervalSeconds < MIN_SCHEDULE_INTERVAL || intervalSeconds > MAX_SCHEDULE_HORIZON)) {
+    return { error: `intervalSeconds deve ser um inteiro entre ${MIN_SCHEDULE_INTERVAL} e ${MAX_SCHEDULE_HORIZON}`, status: 400 };
+  }
+  if (maxRuns !== undefined && (!Number.isInteger(maxRuns) || maxRuns < 1 || maxRuns > 10_000)) {
+    return { error: 'maxRuns deve ser um inteiro entre 1 e 10000', status: 400 };
+  }
+
+  let nextRun = start;
+  if (cron !== undefined) {
+    let parsed;
+    try {
+      if (typeof cron !== 'string') throw new Error('deve ser uma string');
+      parsed = parseCron(cron);
+    } catch (err) {
+      return { error: `cron inválido: ${err.message}`, status: 400 };
+    }
+    // Com deliverAt/delaySeconds, o cron só começa a valer a partir dali
+    nextRun = nextCronRun(parsed, (start ?? now) - 1);
+    if (nextRun === null) return { error: 'cron nunca dispara nos próximos 5 anos', status: 400 };
+  } else if (nextRun === null) {
+    nextRun = now + intervalSeconds * 1000;
+  }
+
+  return {
+    schedule: {
+      id: `sched_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      from,
+      fromName: from === 'broker' ? 'Operador' : agents.get(from)?.name || from,
+      to,
+      content,
+      type: typed.type,
+      ...(typed.payload !== undefined && { payload: typed.payload }),
+      ...(priority !== 'normal' && { priority }),
+      ...(intervalSeconds !== undefined && { intervalSeconds }),
+      ...(cron !== undefined && { cron: cron.trim() }),
+      ...(maxRuns !== undefined && { maxRuns }),
+      runs: 0,
+      nextRunAt: new Date(nextRun).toISOString(),
+      lastRunAt: null,
+      createdAt: new Date(now).toISOString()
+    }
+  };
+}
+
+function scheduleLimitError(from) {
+  if (schedules.size >= MAX_SCHEDULES) return `Limite de ${MAX_SCHEDULES} agendamentos atingido`;
+  let owned = 0;
+  for (const s of schedules.values()) if (s.from === from) owned++;
+  if (owned >= MAX_SCHEDULES_PER_AGENT) return `Limite de ${MAX_SCHEDULES_PER_AGENT} agendamentos por agente atingido`;
+  return null;
+}
+
+function scheduleWhen(schedule) {
+  if (schedule.cron) return `cron "${schedule.cron}"`;
+  if (schedule.intervalSeconds) return `a cada ${schedule.intervalSeconds}s`;
+  return 'uma vez';
+}
+
+// { to, content, type?, payload?, priority?, deliverAt? | delaySeconds?, intervalSeconds? | cron?, maxRuns? }
+app.post('/schedules', (req, res) => {
+  const from = callerId(req, req.body.from);
+  if (!from || (!agents.has(from) && from !== 'broker')) {
+    return res.status(400).json({ error: 'from deve ser um agente registrado' });
+  }
+  const limitError = scheduleLimitError(from);
+  if (limitError) {
+    return res.status(429).json({ error: limitError });
+  }
+
+  const { schedule, error, status, issues } = buildSchedule(from, req.body);
+  if (error) {
+    return res.status(status).json({ error, ...(issues && { issues }) });
+  }
+  putSchedule(schedule);
+  audit('schedule.create', {
+    agent: from, to: schedule.to, scheduleId: schedule.id, when: scheduleWhen(schedule),
+    nextRunAt: schedule.nextRunAt, content: auditPreview(schedule.content)
+  });
+  console.log(`  ⏰ ${schedule.fromName} agendou para ${scheduleTarget(schedule)} (${scheduleWhen(schedule)}, próxima: ${schedule.nextRunAt})`);
+  res.json({ ok: true, schedule });
+});
+
+// Com autenticação ativa cada agente só enxerga os agendamentos que criou
+// ou que são para ele (inclusive to="*")
+// Criador ou destinatário direto — agendamentos para "*" só são visíveis ao criador
+function isScheduleVisible(req, schedule) {
+  return !req.agentId || schedule.from === req.agentId || schedule.to === req.agentId;
+}
+
+// ?from= | ?to= — próximas execuções primeiro
+app.get('/schedules', (req, res) => {
+  const { from, to } = req.query;
+  const list = [...schedules.values()].filter(s =>
+    (!from || s.from === from) &&
+    (!to || s.to === to) &&
+    isScheduleVisible(req, s));
+  list.sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+  res.json({ schedules: list });
+});
+
+app.get('/schedules/:scheduleId', (req, res) => {
+  const schedule = schedules.get(req.params.scheduleId);
+  if (!schedule || !isScheduleVisible(req, schedule)) {
+    return res.status(404).json({ error: `Agendamento "${req.params.scheduleId}" não encontrado` });
+  }
+  res.json(schedule);
+});
+
+// Pode cancelar quem criou ou, num agendamento direto, o destinatário
+app.delete('/schedules/:scheduleId', (req, res) => {
+  const schedule = schedules.get(req.params.scheduleId);
+  if (!schedule || !isScheduleVisible(req, schedule)) {
+    return res.status(404).json({ error: `Agendamento "${req.params.scheduleId}" não encontrado` });
+  }
+  deleteSchedule(schedule.id);
+  audit('schedule.cancel', { agent: callerId(req) || 'unknown', to: schedule.to, scheduleId: schedule.id });
+  console.log(`  ⏰ Agendamento ${schedule.id} cancelado`);
+  res.json({ ok: true });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Threads (histórico de conversas)
+// Com autenticação ativa, só participantes enxergam uma thread.
+// ══════════════════════════════════════════════
+
+function threadSummary(threadId, thread) {
+  const last = thread.messages[thread.messages.length - 1];
+  return {
+    threadId,
+    participants: thread.participants,
+    messageCount: thread.messages.length,
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+    lastMessage: last
+      ? { from: last.from, fromName: last.fromName, preview: last.content.length > 80 ? last.content.slice(0, 80) + '...' : last.content }
+      : null
+  };
+}
+
+// ?participant=<agentId> filtra por participante | mais recentes primeiro
+app.get('/threads', (req, res) => {
+  const participant = AUTH_TOKEN ? req.agentId : req.query.participant;
+  const list = [];
+  for (const [threadId, thread] of threads) {
+    if (participant && !thread.participants.includes(participant)) continue;
+    list.push(threadSummary(threadId, thread));
+  }
+  list.reverse();
+  res.json({ threads: list });
+});
+
+// ?limit=N → apenas as N mensagens mais recentes (ainda em ordem cronológica)
+app.get('/threads/:threadId', (req, res) => {
+  const thread = threads.get(req.params.threadId);
+  if (!thread) {
+    return res.status(404).json({ error: `Thread "${req.params.threadId}" não encontrada` });
+  }
+  if (AUTH_TOKEN && !thread.participants.includes(req.agentId)) {
+    return res.status(403).json({ error: `Agente "${req.agentId}" não participa da thread "${req.params.threadId}"` });
+  }
+  const limit   = req.query.limit ? Math.max(1, parseInt(req.query.limit, 10) || 50) : null;
+  const result  = limit !== null ? thread.messages.slice(-limit) : thread.messages;
+  res.json({
+    ...threadSummary(req.params.threadId, thread),
+    messages: result,
+    hasMore: result.length < thread.messages.length
+  });
+});
+
+// ══════════════════════════════════════════════
+// Rotas: Blobs (arquivos anexados a mensagens)
+// Upload binário em POST /blobs (corpo cru, application/octet-stream); o ID
+// é o sha256 do conteúdo, então o mesmo arquivo enviado de novo reaproveita
+// o blob (e estende a validade). Cada blob expira (padrão 24h, máx 7 dias).
+// Com --data-dir, o conteúdo fica em <data-dir>/blobs/<id> e só os metadados
+// passam pelo journal; sem ele, fica em memória.
+// ══════════════════════════════════════════════
+
+const BLOB_DIR     = DATA_DIR ? join(DATA_DIR, 'blobs') : null;
+const BLOB_ID_RE   = /^[a-f0-9]{64}$/;
+const MIME_TYPE_RE = /^[\w.+-]{1,64}\/[\w.+-]{1,64}$/;
+
+function putBlob(blob) {
+  journal('blob.put', { blob });
+  blobs.delete(blob.id);
+  blobs.set(blob.id, blob);
+}
+
+function deleteBlob(id) {
+  if (!blobs.has(id)) return false;
+  journal('blob.delete', { id });
+  blobs.delete(id);
+  blobData.delete(id);
+  if (BLOB_DIR) {
+    try { unlinkSync(join(BLOB_DIR, id)); } catch { /* já removido */ }
+  }
+  return true;
+}
+
+function isBlobExpired(blob, now = Date.now()) {
+  return Date.parse(blob.expiresAt) <= now;
+}
+
+// Como liveContext: um blob vencido é apagado na hora e tratado como inexistente
+function liveBlob(id) {
+  const blob = blobs.get(id);
+  if (blob && isBlobExpired(blob)) {
+    deleteBlob(id);
+    return undefined;
+  }
+  return blob;
+}
+
+function readBlobData(id) {
+  return BLOB_DIR ? readFileSync(join(BLOB_DIR, id)) : blobData.get(id);
+}
+
+function writeBlobData(id, data) {
+  if (!BLOB_DIR) {
+    blobData.set(id, data);
+    return;
+  }
+  mkdirSync(BLOB_DIR, { recursive: true });
+  const tmpFile = join(BLOB_DIR, `${id}.tmp`);
+  writeFileSync(tmpFile, data);
+  renameSync(tmpFile, join(BLOB_DIR, id));
+}
+
+// Anexos de uma mensagem: IDs de blobs existentes → [{ id, name, size, mimeType }]
+function parseAttachments(list) {
+  if (list === undefined) return { attachments: null };
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_ATTACHMENTS ||
+      !list.every(id => typeof id === 'string')) {
+    return { error: `attachments deve ser um array de 1 a ${MAX_ATTACHMENTS} IDs de blob` };
+  }
+  const attachments = [];
+  for (const id of new Set(list)) {
+    const blob = liveBlob(id);
+    if (!blob) return { error: `Blob "${id}" não encontrado ou expirado`, status: 404 };
+    attachments.push({ id, name: blob.name, size: blob.size, mimeType: blob.mimeType });
+  }
+  return { attachments };
+}
+
+// ?name= (nome do arquivo) ?mimeType= ?ttlSeconds= ?sha256= (confere a integridade do upload)
+app.post('/blobs', express.raw({ type: () => true, limit: MAX_BLOB_SIZE }), (req, res) => {
+  const uploadedBy = callerId(req, req.query.uploadedBy);
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Envie o conteúdo do arquivo no corpo, como application/octet-stream' });
+  }
+  if (!uploadedBy || (!agents.has(uploadedBy) && uploadedBy !== 'broker')) {
+    return res.status(400).json({ error: 'uploadedBy deve ser um agente registrado' });
+  }
+  const { name = 'arquivo.bin', mimeType = 'application/octet-stream', sha256 } = req.query;
+  const fileName = typeof name === 'string' ? name.split(/[\\/]/).pop() : '';
+  if (!fileName || fileName.length > 255 || /[\x00-\x1f\x7f]/.test(fileName)) {
+    return res.status(400).json({ error: 'name deve ser um nome de arquivo de 1 a 255 caracteres' });
+  }
+  if (typeof mimeType !== 'string' || !MIME_TYPE_RE.test(mimeType)) {
+    return res.status(400).json({ error: 'mimeType inválido (ex: application/json, image/png)' });
+  }
+  const ttlSeconds = req.query.ttlSeconds === undefined ? DEFAULT_BLOB_TTL_SECONDS : Number(req.query.ttlSeconds);
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_BLOB_TTL_SECONDS) {
+    return res.status(400).json({ error: `ttlSeconds deve ser um inteiro entre 1 e ${MAX_BLOB_TTL_SECONDS}` });
+  }
+
+  const id = createHash('sha256').update(req.body).digest('hex');
+  if (sha256 !== undefined && sha256 !== id) {
+    return res.status(400).json({ error: `sha256 não confere: o conteúdo recebido tem hash ${id}` });
+  }
+
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+  const existing  = liveBlob(id);
+  if (existing) {
+    if (expiresAt > existing.expiresAt) putBlob({ ...existing, expiresAt });
+    return res.json({ ok: true, blob: blobs.get(id), deduplicated: true });
+  }
+
+  let stored = 0;
+  for (const blob of blobs.values()) stored += blob.size;
+  if (blobs.size >= MAX_BLOBS || stored + req.body.length > MAX_BLOB_STORAGE) {
+    return res.status(429).json({ error: `Armazenamento de blobs cheio (máx ${MAX_BLOBS} blobs / ${MAX_BLOB_STORAGE / 1024 / 1024}MB)` });
+  }
+
+  writeBlobData(id, req.body);
+  const blob = {
+    id,
+    name: fileName,
+    size: req.body.length,
+    mimeType,
+    uploadedBy,
+    uploadedAt: new Date().toISOString(),
+    expiresAt
+  };
+  putBlob(blob);
+  console.log(`  📎 Blob recebido: ${fileName} (${blob.size} bytes) de ${agentName(uploadedBy)}`);
+  res.json({ ok: true, blob });
+});
+
+app.get('/blobs/:id/meta', (req, res) => {
+  const blob = liveBlob(req.params.id);
+  if (!blob) {
+    return res.status(404).json({ error: `Blob "${req.params.id}" não encontrado ou expirado` });
+  }
+  res.json(blob);
+});
+
+app.get('/blobs/:id', (req, res) => {
+  const blob = BLOB_ID_RE.test(req.params.id) ? liveBlob(req.params.id) : undefined;
+  const data = blob && readBlobData(blob.id);
+  if (!data) {
+    return res.status(404).json({ error: `Blob "${req.params.id}" não encontrado ou expirado` });
+  }
+  res.set({
+    'Content-Type': blob.mimeType,
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(blob.name)}`,
+    'X-Blob-Name': encodeURIComponent(blob.name),
+    'X-Blob-Sha256': blob.id
+  });
+  res.send(data);
+});
+
+// Com autenticação ativa, só quem fez o upload pode apagar
+app.delete('/blobs/:id', (req, res) => {
+  const blob = liveBlob(req.params.id);
+  if (!blob) {
+    return res.status(404).json({ error: `Blob "${req.params.id}" não encontrado ou expirado` });
+  }
+  if (AUTH_TOKEN && blob.uploadedBy !== req.agentId) {
+    return res.status(403).json({ error: `Só "${blob.uploadedBy}" pode apagar o blob "${blob.id}"` });
+  }
+  deleteBlob(blob.id);
+  res.json({ ok: true });
+});
+
+// ══════════════════════════════════════════════
+// Rota: Busca full-text (mensagens e contexto)
+// Cobre todas as mensagens ainda guardadas nas filas (lidas ou não, inclusive
+// caixas postais) e os valores de contexto vivos. Um índice invertido
+// (termo → documentos) é mantido em enqueue / descarte / limpeza de filas e
+// em cada escrita ou remoção de contexto. A busca por prefixo usa a lista
+// ordenada dos termos, refeita só quando uma busca precisa dela depois de
+// mudanças. A consulta só toca os documentos que contêm os termos — o custo
+// não cresce com o total guardado no broker.
+// Todos os termos precisam aparecer (E); um termo casa palavras que começam
+// com ele. Ranking por TF-IDF, com bônus quando a frase inteira aparece.
+// Com autenticação ativa, só mensagens enviadas ou recebidas pelo agente.
+// ══════════════════════════════════════════════
+
+const MAX_SEARCH_QUERY = 200;
+const SEARCH_SNIPPET_BEFORE = 60;
+const SEARCH_SNIPPET_AFTER  = 140;
+const ASCII_RE = /^[\x00-\x7f]*$/;
+
+let sortedVocabulary = null; // termos de searchIndex em ordem — refeita sob demanda após mudanças
+
+// Minúsculas e sem acentos. O tamanho pode mudar (acentos viram marcas
+// combinantes e somem), então snippets usam originalOffset para voltar ao texto original.
+function foldText(text) {
+  if (ASCII_RE.test(text)) return text.toLowerCase();
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+const foldedLengths = new Map(); // caractere não-ASCII -> tamanho depois de foldText (cache)
+
+function foldedCharLength(ch) {
+  let length = foldedLengths.get(ch);
+  if (length === undefined) {
+    if (foldedLengths.size >= 10_000) foldedLengths.clear();
+    length = foldText(ch).length;
+    foldedLengths.set(ch, length);
+  }
+  return length;
+}
+
+// Posição no texto original que corresponde a `at` no texto normalizado.
+// Só percorre o texto até a posição — e só para os snippets devolvidos.
+function originalOffset(text, at) {
+  if (ASCII_RE.test(text)) return at;
+  let folded = 0;
+  let index  = 0;
+  for (const ch of text) {
+    if (folded >= at) break;
+    folded += ch < '\x80' ? 1 : foldedCharLength(ch);
+    index  += ch.length;
+  }
+  return index;
+}
+
+function tokenize(folded) {
+  return folded.match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function contextText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function searchDocText(ref, info) {
+  if (info.kind === 'context') return `${info.key}\n${contextText(ref.value)}`;
+  return ref.payload === undefined ? ref.content : `${ref.content}\n${JSON.stringify(ref.payload)}`;
+}
+
+// Documentos são agrupados pelo texto: as cópias de um broadcast (uma por
+// destinatário) são tokenizadas e entram nas listas de postings uma vez só.
+function indexSearchDoc(ref, info) {
+  unindexSearchDoc(ref);
+  const text = searchDocText(ref, info);
+  let doc = searchDocs.get(text);
+  if (!doc) {
+    doc = { text, terms: new Map(), refs: new Map() };
+    for (const term of tokenize(foldText(text))) doc.terms.set(term, (doc.terms.get(term) || 0) + 1);
+    for (const term of doc.terms.keys()) {
+      let postings = searchIndex.get(term);
+      if (!postings) {
+        postings = new Set();
+        searchIndex.set(term, postings);
+        sortedVocabulary = null;
+      }
+      postings.add(doc);
+    }
+    searchDocs.set(text, doc);
+  }
+  doc.refs.set(ref, info);
+  searchRefs.set(ref, doc);
+}
+
+function unindexSearchDoc(ref) {
+  const doc = ref && searchRefs.get(ref);
+  if (!doc) return;
+  searchRefs.delete(ref);
+  doc.refs.delete(ref);
+  if (doc.refs.size > 0) return;
+  searchDocs.delete(doc.text);
+  for (const term of doc.terms.keys()) {
+    const postings = searchIndex.get(term);
+    postings.delete(doc);
+    if (postings.size === 0) {
+      searchIndex.delete(term);
+      sortedVocabulary = null;
+    }
+  }
+}
+
+function indexMessage(agentId, msg) {
+  indexSearchDoc(msg, { kind: 'message', to: agentId });
+}
+
+function indexContext(key, ctx) {
+  indexSearchDoc(ctx, { kind: 'context', key });
+}
+
+// Estado carregado do snapshot entra no índice de uma vez (o replay do journal
+// o mantém depois, como em operação normal)
+function rebuildSearchIndex() {
+  searchDocs.clear();
+  searchRefs.clear();
+  searchIndex.clear();
+  sortedVocabulary = null;
+  for (const [agentId, queue] of messages) {
+    for (const msg of queue) indexMessage(agentId, msg);
+  }
+  for (const [key, ctx] of sharedContext) indexContext(key, ctx);
+}
+
+// Primeira posição do vocabulário ordenado com termo >= term
+function vocabularyIndex(vocabulary, term) {
+  let lo = 0;
+  let hi = vocabulary.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (vocabulary[mid] < term) lo = mid + 1;
+    else hi = mid;
   }
-  res.json({ ok: true, acked });
-});
+  return lo;
+}
 
-// ══════════════════════════════════════════════
-// Rotas: Contexto Compartilhado
-// ══════════════════════════════════════════════
+// Documentos que casam um termo da busca → ocorrências (palavra exata vale 1, prefixo 0,5)
+function searchPostings(queryTerm) {
+  if (!sortedVocabulary) sortedVocabulary = [...searchIndex.keys()].sort();
+  const tfs = new Map();
+  for (let i = vocabularyIndex(sortedVocabulary, queryTerm); i < sortedVocabulary.length; i++) {
+    const term = sortedVocabulary[i];
+    if (!term.startsWith(queryTerm)) break;
+    const weight = term === queryTerm ? 1 : 0.5;
+    for (const doc of searchIndex.get(term)) {
+      tfs.set(doc, (tfs.get(doc) || 0) + doc.terms.get(term) * weight);
+    }
+  }
+  return tfs;
+}
 
-app.post('/context', (req, res) => {
-  const { key, value, setBy } = req.body;
-  if (!key || value === undefined || value === null) {
-    return res.status(400).json({ error: 'key e value são obrigatórios' });
+function searchSnippet(text, folded, phrase, queryTerms) {
+  let at = folded.indexOf(phrase);
+  for (let i = 0; at === -1 && i < queryTerms.length; i++) at = folded.indexOf(queryTerms[i]);
+  at = originalOffset(text, Math.max(at, 0));
+  const start = Math.max(0, at - SEARCH_SNIPPET_BEFORE);
+  const end   = Math.min(text.length, at + SEARCH_SNIPPET_AFTER);
+  const body  = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '...' : ''}${body}${end < text.length ? '...' : ''}`;
+}
+
+// ?q= (obrigatório) ?from= (remetente / quem gravou) ?type= (tipo da mensagem)
+// ?since= (ISO 8601) ?scope=messages|context ?limit=N (padrão 20, máx 100)
+app.get('/search', (req, res) => {
+  const { q, from, type, since, scope } = req.query;
+  if (typeof q !== 'string' || !q.trim()) {
+    return res.status(400).json({ error: 'q é obrigatório (ex: /search?q=refresh token)' });
   }
-  if (typeof key !== 'string') {
-    return res.status(400).json({ error: 'key deve ser uma string' });
+  if (q.length > MAX_SEARCH_QUERY) {
+    return res.status(400).json({ error: `q deve ter no máximo ${MAX_SEARCH_QUERY} caracteres` });
   }
-  if (key.length > 256) {
-    return res.status(400).json({ error: 'key deve ter no máximo 256 caracteres' });
+  if (type !== undefined && !isValidMsgType(type)) {
+    return res.status(400).json({ error: `type deve ser um de: ${messageTypeNames().join(', ')}` });
+  }
+  if (scope !== undefined && scope !== 'messages' && scope !== 'context') {
+    return res.status(400).json({ error: 'scope deve ser "messages" ou "context"' });
+  }
+  if (since !== undefined && (typeof since !== 'string' || Number.isNaN(Date.parse(since)))) {
+    return res.status(400).json({ error: 'since deve ser uma data ISO 8601 (ex: 2025-01-31T12:00:00Z)' });
+  }
+  const phrase     = foldText(q.trim()).replace(/\s+/g, ' ');
+  const queryTerms = [...new Set(tokenize(phrase))];
+  if (queryTerms.length === 0) {
+    return res.status(400).json({ error: 'q precisa conter ao menos uma letra ou número' });
   }
+  const sinceMs = since ? Date.parse(since) : null;
+  const limit   = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 20), 100);
+  const now     = Date.now();
 
-  if (Buffer.byteLength(JSON.stringify(value), 'utf8') > MAX_CONTEXT_VALUE_SIZE) {
-    return res.status(413).json({ error: `Valor excede o limite de ${MAX_CONTEXT_VALUE_SIZE / 1024}KB` });
+  // Filtros aplicados só às mensagens / entradas cujo texto já contém todos os termos
+  function isVisible(ref, info) {
+    if (info.kind === 'message') {
+      if (scope === 'context' || !hasMailbox(info.to)) return false;
+      if (AUTH_TOKEN && ref.from !== req.agentId && info.to !== req.agentId) return false;
+      if (from && ref.from !== from) return false;
+      if (type && ref.type !== type) return false;
+    } else {
+      if (scope === 'messages' || type || isContextExpired(ref, now)) return false;
+      if (from && ref.setBy !== from) return false;
+    }
+    return sinceMs === null || Date.parse(ref.timestamp) >= sinceMs;
   }
 
-  if (!sharedContext.has(key) && sharedContext.size >= MAX_CONTEXT_KEYS) {
-    return res.status(429).json({ error: `Limite de ${MAX_CONTEXT_KEYS} chaves de contexto atingido` });
+  // Interseção a partir do termo mais raro. O texto só é normalizado de novo
+  // para o bônus de frase (buscas com mais de um termo) e para os snippets
+  // dos resultados devolvidos.
+  const postings = queryTerms.map(searchPostings);
+  const rarest   = postings.reduce((a, b) => (b.size < a.size ? b : a));
+  const matched  = [];
+  for (const doc of rarest.keys()) {
+    if (!postings.every(tfs => tfs.has(doc))) continue;
+    const visible = [...doc.refs].filter(([ref, info]) => isVisible(ref, info));
+    if (visible.length === 0) continue;
+    let score = 0;
+    postings.forEach(tfs => {
+      score += (1 + Math.log(tfs.get(doc))) * Math.log(1 + searchDocs.size / tfs.size);
+    });
+    const folded = queryTerms.length > 1 ? foldText(doc.text) : null;
+    if (folded?.replace(/\s+/g, ' ').includes(phrase)) score *= 2;
+    for (const [ref, info] of visible) matched.push({ doc, ref, info, folded, score, timestamp: ref.timestamp });
   }
+  matched.sort((a, b) => b.score - a.score || (a.timestamp < b.timestamp ? 1 : -1));
 
-  sharedContext.set(key, {
-    value,
-    setBy: setBy || 'unknown',
-    setByName: agents.get(setBy)?.name || setBy,
-    timestamp: new Date().toISOString()
+  const snippets = new Map(); // doc -> snippet (cópias de um broadcast compartilham)
+  const results  = matched.slice(0, limit).map(({ doc, ref, info, folded, score }) => {
+    if (!snippets.has(doc)) snippets.set(doc, searchSnippet(doc.text, folded ?? foldText(doc.text), phrase, queryTerms));
+    return {
+      ...(info.kind === 'message'
+        ? {
+            kind: 'message', id: ref.id, from: ref.from, fromName: ref.fromName, to: info.to,
+            type: ref.type, timestamp: ref.timestamp, read: ref.read,
+            ...(ref.channel && { channel: ref.channel }),
+            ...(ref.threadId && { threadId: ref.threadId })
+          }
+        : { kind: 'context', key: info.key, version: ref.version, setBy: ref.setBy, timestamp: ref.timestamp }),
+      score: Math.round(score * 1000) / 1000,
+      snippet: snippets.get(doc)
+    };
   });
 
-  console.log(`  📦 Contexto salvo: "${key}" por ${agents.get(setBy)?.name || setBy}`);
-  res.json({ ok: true, key });
+  res.json({ results, total: matched.length, hasMore: matched.length > limit });
 });
 
-app.get('/context/:key', (req, res) => {
-  const ctx = sharedContext.get(req.params.key);
-  if (!ctx) {
-    return res.status(404).json({ error: `Contexto "${req.params.key}" não encontrado` });
-  }
-  res.json(ctx);
-});
+// ══════════════════════════════════════════════
+// Rota: Audit log
+// Filtros (combinados com E): ?agent= ?event= ?key= ?since= ?until= (ISO 8601)
+// ?limit=N (padrão 100, máx 1000). Mais recentes primeiro.
+// ══════════════════════════════════════════════
 
-app.get('/context', (req, res) => {
-  const keys = [];
-  for (const [key, info] of sharedContext) {
-    keys.push({ key, setBy: info.setByName, timestamp: info.timestamp });
+app.get('/audit', (req, res) => {
+  if (!AUDIT_FILE) {
+    return res.status(404).json({ error: 'Audit log desativado — inicie o broker com --audit-log <arquivo> ou --data-dir <dir>' });
   }
-  res.json({ contexts: keys });
-});
-
-app.delete('/context/:key', (req, res) => {
-  sharedContext.delete(req.params.key);
-  res.json({ ok: true });
+  const range = {};
+  for (const bound of ['since', 'until']) {
+    const raw = req.query[bound];
+    if (raw === undefined) continue;
+    if (typeof raw !== 'string' || Number.isNaN(Date.parse(raw))) {
+      return res.status(400).json({ error: `${bound} deve ser uma data ISO 8601 (ex: 2025-01-31T12:00:00Z)` });
+    }
+    range[bound] = new Date(raw).toISOString();
+  }
+  const filters = {};
+  for (const field of ['agent', 'event', 'key']) {
+    if (typeof req.query[field] === 'string' && req.query[field]) filters[field] = req.query[field];
+  }
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 100), 1000);
+  queryAuditLog({ ...filters, ...range, limit })
+    .then(matched => res.json({ entries: matched.slice(0, limit), hasMore: matched.length > limit }))
+    .catch(err => res.status(500).json({ error: `Falha ao ler o audit log: ${err.message}` }));
 });
 
 // ══════════════════════════════════════════════
@@ -383,10 +3629,178 @@ app.get('/status', (req, res) => {
     uptime: process.uptime(),
     agents: agentList,
     totalAgents: agents.size,
+    offlineMailboxes: offlineAgents.size,
+    deadLetters: deadLetters.size,
     totalContextKeys: sharedContext.size
   });
 });
 
+// ══════════════════════════════════════════════
+// Rota: Métricas (Prometheus)
+// Com autenticação ativa, exige o BROKER_TOKEN (bearer_token no scrape_config).
+// ══════════════════════════════════════════════
+
+app.get('/metrics', (req, res) => {
+  const lines = [];
+  const header = (name) => {
+    const [type, help] = METRICS[name];
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  };
+  const emit = (name, series) => {
+    header(name);
+    for (const [labels, value] of series) lines.push(`${name}${labels} ${value}`);
+  };
+
+  for (const name of Object.keys(METRICS)) {
+    if (METRICS[name][0] === 'counter') emit(name, metricCounters.get(name) || []);
+  }
+
+  const duration = 'skvil_http_request_duration_seconds';
+  header(duration);
+  for (const { labels, buckets, sum, count } of httpDurations.values()) {
+    HTTP_DURATION_BUCKETS.forEach((le, i) => lines.push(`${duration}_bucket${metricLabels({ ...labels, le })} ${buckets[i]}`));
+    lines.push(`${duration}_bucket${metricLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${duration}_sum${metricLabels(labels)} ${sum}`);
+    lines.push(`${duration}_count${metricLabels(labels)} ${count}`);
+  }
+
+  const depths = [];
+  for (const [agentId, queue] of messages) {
+    if (hasMailbox(agentId)) depths.push([metricLabels({ agent: agentId }), queue.filter(m => !m.read).length]);
+  }
+  let contextBytes = 0;
+  for (const ctx of sharedContext.values()) contextBytes += Buffer.byteLength(JSON.stringify(ctx.value), 'utf8');
+
+  emit('skvil_agents', [
+    [metricLabels({ state: 'online' }), agents.size],
+    [metricLabels({ state: 'offline' }), offlineAgents.size]
+  ]);
+  emit('skvil_queue_depth', depths);
+  emit('skvil_context_keys', [['', sharedContext.size]]);
+  emit('skvil_context_bytes', [['', contextBytes]]);
+  emit('skvil_dead_letters', [['', deadLetters.size]]);
+  emit('skvil_schedules', [['', schedules.size]]);
+  emit('skvil_uptime_seconds', [['', process.uptime()]]);
+
+  res.type('text/plain; version=0.0.4').send(lines.join('\n') + '\n');
+});
+
+// ══════════════════════════════════════════════
+// Dashboard web do operador
+// GET /ui serve dashboard.html (HTML/JS puro, sem CDN); a página consulta
+// /ui/api/* a cada poucos segundos. Com autenticação ativa, /ui/api exige
+// o token do dashboard (DASHBOARD_TOKEN) — o operador o informa na própria página.
+// ══════════════════════════════════════════════
+
+const DASHBOARD_FILE = join(dirname(fileURLToPath(import.meta.url)), 'dashboard.html');
+const DASHBOARD_HTML = (() => {
+  try { return readFileSync(DASHBOARD_FILE, 'utf8'); }
+  catch { return null; }
+})();
+
+app.get('/', (req, res) => res.redirect('/ui'));
+
+app.get('/ui', (req, res) => {
+  if (!DASHBOARD_HTML) {
+    return res.status(404).json({ error: `Dashboard indisponível: ${DASHBOARD_FILE} não encontrado` });
+  }
+  res.type('html').send(DASHBOARD_HTML);
+});
+
+app.get('/ui/api/overview', (req, res) => {
+  const now = Date.now();
+  const agentList = [];
+  for (const [id, info] of agents) {
+    const queue = messages.get(id) || [];
+    agentList.push({
+      agentId: id,
+      name: info.name,
+      project: info.project,
+      status: info.status || 'online',
+      statusNote: info.statusNote || '',
+      capabilities: info.capabilities || [],
+      lastSeen: info.lastSeen,
+      streaming: streams.has(id),
+      queueDepth: queue.length,
+      unread: queue.filter(m => !m.read).length
+    });
+  }
+  const offline = [];
+  for (const [id, info] of offlineAgents) {
+    const unread = (messages.get(id) || []).filter(m => !m.read).length;
+    offline.push({ agentId: id, name: info.name, project: info.project, offlineSince: info.offlineSince, unread });
+  }
+  const context = [];
+  for (const [key, ctx] of sharedContext) {
+    if (isContextExpired(ctx, now)) continue;
+    context.push({
+      key,
+      setBy: ctx.setBy,
+      setByName: ctx.setByName,
+      version: ctx.version,
+      timestamp: ctx.timestamp,
+      size: JSON.stringify(ctx.value).length,
+      ...(ctx.expiresAt && { expiresAt: ctx.expiresAt })
+    });
+  }
+  context.sort((a, b) => a.key.localeCompare(b.key));
+
+  res.json({
+    uptime: process.uptime(),
+    agents: agentList,
+    offline,
+    traffic: [...recentTraffic].reverse(),
+    context,
+    counts: {
+      channels: channels.size,
+      locks: locks.size,
+      openTasks: [...tasks.values()].filter(t => t.status === 'open').length,
+      deadLetters: deadLetters.size
+    }
+  });
+});
+
+app.get('/ui/api/context/:key', (req, res) => {
+  const ctx = liveContext(req.params.key);
+  if (!ctx) {
+    return res.status(404).json({ error: `Chave "${req.params.key}" não encontrada` });
+  }
+  res.json({ key: req.params.key, ...ctx });
+});
+
+// Envia como "Operador" — { to, content, type?, priority? } para um agente, sem "to" para todos os online
+app.post('/ui/api/send', (req, res) => {
+  const { to, content, type } = req.body;
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ error: 'content é obrigatório' });
+  }
+  if (Buffer.byteLength(content, 'utf8') > MAX_MESSAGE_CONTENT_SIZE) {
+    return res.status(413).json({ error: `Conteúdo excede o limite de ${MAX_MESSAGE_CONTENT_SIZE / 1024}KB por mensagem` });
+  }
+  const typed = parseTypedPayload(type);
+  if (typed.error) {
+    return res.status(400).json({ error: typed.error });
+  }
+  const msgType = typed.type;
+  const { error: priorityError, priority } = parsePriority(req.body.priority);
+  if (priorityError) {
+    return res.status(400).json({ error: priorityError });
+  }
+
+  if (to !== undefined && to !== null && to !== '') {
+    if (typeof to !== 'string' || !hasMailbox(to)) {
+      return res.status(404).json({ error: `Agente "${to}" não encontrado` });
+    }
+    pushToAgent(to, content, msgType, priority);
+    console.log(`  💬 Operador (dashboard) → ${agentName(to)}: ${content}`);
+    return res.json({ ok: true, sentTo: 1 });
+  }
+
+  for (const agentId of agents.keys()) pushToAgent(agentId, content, msgType, priority);
+  console.log(`  📢 Operador (dashboard) → ${agents.size} agente(s): ${content}`);
+  res.json({ ok: true, sentTo: agents.size });
+});
+
 // ══════════════════════════════════════════════
 // 404 catch-all — retorna JSON em vez de HTML
 // ══════════════════════════════════════════════
@@ -401,6 +3815,9 @@ app.use((err, req, res, _next) => {
   if (err.type === 'entity.parse.failed') {
     return res.status(400).json({ error: 'JSON inválido no body da requisição' });
   }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Body da requisição excede o limite de ${err.limit / 1024 / 1024}MB` });
+  }
   _error(`[ERRO] ${err.stack || err.message}`);
   res.status(err.status || 500).json({ error: 'Erro interno do servidor' });
 });
@@ -409,73 +3826,500 @@ app.use((err, req, res, _next) => {
 // Console interativo do operador
 // ══════════════════════════════════════════════
 
-function pushToAgent(agentId, content, type = 'text') {
-  enqueue(agentId, {
+function pushToAgent(agentId, content, type = 'text', priority = 'normal') {
+  const msg = {
     id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
     from: 'broker',
     fromName: 'Operador',
     content,
     type,
     timestamp: new Date().toISOString(),
-    read: false
+    read: false,
+    ...(priority !== 'normal' && { priority })
+  };
+  enqueue(agentId, msg);
+  incMetric('skvil_messages_sent_total', { agent: 'broker', type });
+  audit('message.send', {
+    agent: 'broker', to: agentId, messageId: msg.id, type, content: auditPreview(content),
+    ...(priority !== 'normal' && { priority })
   });
 }
 
-function startConsole() {
-  rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-  rl.setPrompt('broker> ');
-  rl.prompt();
+// "30s", "20m", "1h30m", "2d" → segundos (null se inválida)
+function parseConsoleDuration(text) {
+  const m = text.match(/^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!m || !text) return null;
+  const [, d, h, min, sec] = m.map(v => Number(v) || 0);
+  return ((d * 24 + h) * 60 + min) * 60 + sec || null;
+}
 
-  rl.on('line', (line) => {
-    const input = line.trim();
-    if (!input) { rl.prompt(); return; }
+// Trecho de até `max` caracteres numa linha só (para listagens do console)
+function consolePreview(text, max = 60) {
+  const flat = String(text).replace(/\s+/g, ' ');
+  return flat.length > max ? flat.slice(0, max) + '...' : flat;
+}
+
+const CONSOLE_HISTORY_LIMIT = 20;
+
+// Histórico de um agente para /history: a caixa postal dele (lidas e não lidas),
+// as threads de que participa e, com audit log, os envios e broadcasts registrados
+// lá — que cobrem o que já saiu das filas e sobrevive a reinícios. Uma mensagem
+// vista em mais de uma fonte aparece uma vez só (pelo messageId).
+async function agentHistory(agentId, limit) {
+  const byId = new Map();
+  const add = (id, entry) => { if (!byId.has(id)) byId.set(id, entry); };
+
+  for (const m of messages.get(agentId) || []) {
+    add(m.id, { from: m.from, fromName: m.fromName, to: agentId, type: m.type, channel: m.channel, content: m.content, timestamp: m.timestamp });
+  }
+  for (const thread of threads.values()) {
+    if (!thread.participants.includes(agentId)) continue;
+    for (const m of thread.messages) {
+      if (m.from !== agentId && m.to !== agentId) continue;
+      add(m.id, { from: m.from, fromName: m.fromName, to: m.to, type: m.type, channel: m.channel, content: m.content, timestamp: m.timestamp });
+    }
+  }
+  if (AUDIT_FILE) {
+    for (const event of ['message.send', 'message.broadcast']) {
+      for (const e of await queryAuditLog({ agent: agentId, event, limit })) {
+        // Broadcasts não têm messageId no audit log (cada destinatário recebe um id próprio)
+        add(e.messageId || `${e.event}:${e.ts}:${e.agent}`, {
+          from: e.agent, fromName: agentName(e.agent), to: e.to || '*', type: e.type, channel: e.channel,
+          content: e.content, timestamp: e.ts, sentTo: e.sentTo
+        });
+      }
+    }
+  }
+  return [...byId.values()]
+    .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0))
+    .slice(-limit);
+}
 
-    // /help
-    if (input === '/help') {
+// Comandos do console. complete: o que o Tab completa no primeiro argumento
+// ('agent' → IDs de agentes, 'context' → chaves de contexto).
+// run recebe o texto após o nome do comando.
+const consoleCommands = {
+  '/help': {
+    usage: '/help',
+    description: 'esta ajuda',
+    run() {
       _log('  Comandos disponíveis:');
-      _log('    /agents          — lista agentes conectados');
-      _log('    /help            — esta ajuda');
-      _log('    @<id> <mensagem> — envia para um agente específico');
-      _log('    <mensagem>       — broadcast para todos os agentes');
-      rl.prompt();
-      return;
+      for (const cmd of Object.values(consoleCommands)) {
+        _log(`    ${cmd.usage.padEnd(30)} — ${cmd.description}`);
+      }
+      _log(`    ${'@<id>[:tipo] <mensagem>'.padEnd(30)} — envia para um agente (tipo: ${messageTypeNames().join(', ')})`);
+      _log(`    ${'<mensagem>'.padEnd(30)} — broadcast para todos os agentes`);
+      _log('  Tab completa comandos, IDs de agentes e chaves de contexto.');
     }
+  },
 
-    // /agents
-    if (input === '/agents') {
+  '/agents': {
+    usage: '/agents',
+    description: 'lista agentes conectados (e offline com caixa postal)',
+    run() {
       if (agents.size === 0) {
         _log('  Nenhum agente conectado.');
       } else {
         for (const [id, info] of agents) {
-          _log(`  • ${info.name} (${id}) — ${info.project}`);
+          const caps   = info.capabilities?.length ? ` [${info.capabilities.join(', ')}]` : '';
+          const status = `${info.status || 'online'}${info.statusNote ? `: ${info.statusNote}` : ''}`;
+          _log(`  • ${info.name} (${id}) — ${info.project}${caps} — ${status}`);
         }
       }
-      rl.prompt();
-      return;
+      for (const [id, info] of offlineAgents) {
+        const pending = (messages.get(id) || []).filter(m => !m.read).length;
+        _log(`  ◦ ${info.name} (${id}) — offline desde ${info.offlineSince}, ${pending} pendente(s)`);
+      }
     }
+  },
 
-    // @agentId mensagem
-    if (input.startsWith('@')) {
-      const spaceIdx = input.indexOf(' ');
-      if (spaceIdx === -1) {
-        _log('  Uso: @<id> <mensagem>');
-        rl.prompt();
+  '/context': {
+    usage: '/context [chave]',
+    description: 'lista as chaves de contexto ou mostra o valor de uma',
+    complete: 'context',
+    run(key) {
+      if (key) {
+        const ctx = liveContext(key);
+        if (!ctx) {
+          _log(`  ❌ Chave "${key}" não encontrada.`);
+          return;
+        }
+        _log(`  📦 ${key} v${ctx.version} — ${ctx.setByName}, ${ctx.timestamp}${ctx.expiresAt ? ` (expira ${ctx.expiresAt})` : ''}`);
+        const value = typeof ctx.value === 'string' ? ctx.value : JSON.stringify(ctx.value, null, 2);
+        for (const line of value.split('\n')) _log(`    ${line}`);
+        return;
+      }
+      const keys = [...sharedContext.keys()].filter(k => !isContextExpired(sharedContext.get(k))).sort();
+      if (keys.length === 0) {
+        _log('  Nenhuma chave de contexto.');
+        return;
+      }
+      for (const k of keys) {
+        const ctx = sharedContext.get(k);
+        _log(`  • ${k} v${ctx.version} — ${ctx.setByName}, ${ctx.timestamp}`);
+      }
+    }
+  },
+
+  '/set': {
+    usage: '/set <chave> <valor>',
+    description: 'grava contexto como Operador (valor JSON ou texto)',
+    complete: 'context',
+    run(args) {
+      const match = /^(\S+)\s+([\s\S]+)$/.exec(args);
+      if (!match) {
+        _log('  Uso: /set <chave> <valor>');
+        return;
+      }
+      const [, key, raw] = match;
+      let value;
+      try { value = JSON.parse(raw); } catch { value = raw; }
+      if (key.length > 256) {
+        _log('  ❌ A chave deve ter no máximo 256 caracteres.');
+        return;
+      }
+      if (Buffer.byteLength(JSON.stringify(value), 'utf8') > MAX_CONTEXT_VALUE_SIZE) {
+        _log(`  ❌ Valor excede o limite de ${MAX_CONTEXT_VALUE_SIZE / 1024}KB.`);
+        return;
+      }
+      if (!sharedContext.has(key) && sharedContext.size >= MAX_CONTEXT_KEYS) {
+        _log(`  ❌ Limite de ${MAX_CONTEXT_KEYS} chaves de contexto atingido.`);
+        return;
+      }
+      const version = nextContextVersion(key);
+      setContext(key, {
+        value,
+        setBy: 'broker',
+        setByName: 'Operador',
+        timestamp: new Date().toISOString(),
+        version
+      });
+      audit('context.set', { agent: 'broker', key, version, value: auditPreview(JSON.stringify(value)) });
+      _log(`  📦 Contexto salvo: "${key}" v${version}`);
+    }
+  },
+
+  '/del': {
+    usage: '/del <chave>',
+    description: 'apaga uma chave de contexto',
+    complete: 'context',
+    run(key) {
+      if (!key) {
+        _log('  Uso: /del <chave>');
+        return;
+      }
+      if (!deleteContext(key)) {
+        _log(`  ❌ Chave "${key}" não encontrada.`);
+        return;
+      }
+      audit('context.delete', { agent: 'broker', key });
+      _log(`  🗑️  Contexto removido: "${key}"`);
+    }
+  },
+
+  '/queue': {
+    usage: '/queue <id>',
+    description: 'mostra as mensagens não lidas de um agente',
+    complete: 'agent',
+    run(agentId) {
+      if (!hasMailbox(agentId)) {
+        _log(`  ❌ Agente "${agentId}" não encontrado. Use /agents para listar.`);
+        return;
+      }
+      const unread = byPriority((messages.get(agentId) || []).filter(m => !m.read));
+      if (unread.length === 0) {
+        _log(`  📭 Nenhuma mensagem não lida para ${agentName(agentId)}.`);
+        return;
+      }
+      _log(`  📬 ${unread.length} não lida(s) para ${agentName(agentId)}:`);
+      for (const m of unread) {
+        _log(`  • ${m.id} — ${m.fromName} [${m.type}${m.priority ? `, ${m.priority}` : ''}] ${m.timestamp}: ${consolePreview(m.content)}`);
+      }
+    }
+  },
+
+  '/urgent': {
+    usage: '/urgent <id|*> <mensagem>',
+    description: 'envia mensagem urgente (furando a fila) a um agente ou a todos',
+    complete: 'agent',
+    run(args) {
+      const spaceIdx = args.indexOf(' ');
+      const target   = spaceIdx === -1 ? args : args.slice(0, spaceIdx);
+      const content  = spaceIdx === -1 ? '' : args.slice(spaceIdx + 1).trim();
+      if (!target || !content) {
+        _log('  Uso: /urgent <id|*> <mensagem>');
+        return;
+      }
+      if (target === '*') {
+        if (agents.size === 0) {
+          _log('  ⚠️  Nenhum agente conectado.');
+          return;
+        }
+        for (const agentId of agents.keys()) pushToAgent(agentId, content, 'text', 'urgent');
+        _log(`  🚨 Operador → ${agents.size} agente(s): ${content}`);
+        return;
+      }
+      if (!hasMailbox(target)) {
+        _log(`  ❌ Agente "${target}" não encontrado. Use /agents para listar.`);
+        return;
+      }
+      pushToAgent(target, content, 'text', 'urgent');
+      _log(`  🚨 Operador → ${agentName(target)}${agents.has(target) ? '' : ' (offline, na caixa postal)'}: ${content}`);
+    }
+  },
+
+  '/history': {
+    usage: '/history <id>',
+    description: 'últimas mensagens enviadas/recebidas por um agente',
+    complete: 'agent',
+    run(agentId) {
+      if (!agentId) {
+        _log('  Uso: /history <id>');
+        return;
+      }
+      agentHistory(agentId, CONSOLE_HISTORY_LIMIT).then((entries) => {
+        if (entries.length === 0) {
+          _log(`  Nenhuma mensagem de/para "${agentId}" na caixa postal, nas threads${AUDIT_FILE ? ' nem no audit log' : ''}.`);
+          return;
+        }
+        for (const t of entries) {
+          const arrow = t.to === agentId
+            ? `${t.fromName} →`
+            : t.to === '*' ? `→ ${t.sentTo ?? 'todos os'} agente(s)` : `→ ${agentName(t.to)}`;
+          _log(`  ${t.timestamp} ${arrow}${t.channel ? ` #${t.channel}` : ''} [${t.type}]: ${consolePreview(t.content)}`);
+        }
+      }).catch((err) => {
+        _log(`  ❌ Falha ao montar o histórico: ${err.message}`);
+      });
+    }
+  },
+
+  '/clear': {
+    usage: '/clear <id>',
+    description: 'apaga a fila de mensagens de um agente',
+    complete: 'agent',
+    run(agentId) {
+      if (!hasMailbox(agentId)) {
+        _log(`  ❌ Agente "${agentId}" não encontrado. Use /agents para listar.`);
         return;
       }
-      const targetId = input.slice(1, spaceIdx);
-      const content = input.slice(spaceIdx + 1).trim();
-      if (!content) {
-        _log('  Mensagem vazia.');
-        rl.prompt();
+      _log(`  🗑️  Fila de ${agentName(agentId)} limpa (${clearMessages(agentId)} removida(s))`);
+    }
+  },
+
+  '/kick': {
+    usage: '/kick <id>',
+    description: 'desregistra um agente (ele volta ao se re-registrar)',
+    complete: 'agent',
+    run(agentId) {
+      const info = agents.get(agentId);
+      if (!info) {
+        _log(`  ❌ Agente "${agentId}" não está conectado. Use /agents para listar.`);
+        return;
+      }
+      removeAgent(agentId, undefined, MAILBOX_RETENTION_MS > 0);
+      audit('agent.deregister', { agent: 'broker', to: agentId });
+      _log(`  👢 ${info.name} (${agentId}) desregistrado${offlineAgents.has(agentId) ? ' — caixa postal mantida' : ''}`);
+    }
+  },
+
+  '/schedule': {
+    usage: '/schedule [...]',
+    description: 'lista agendamentos; /schedule in|every <dur> <id|*> <msg>, at <ISO> ..., cron <5 campos> ..., cancel <id>',
+    run(args) {
+      const tokens = args.split(/\s+/).filter(Boolean);
+      const sub    = tokens[0];
+
+      if (!sub) {
+        const list = [...schedules.values()].sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+        if (list.length === 0) {
+          _log('  ⏰ Nenhum agendamento.');
+          return;
+        }
+        _log(`  ⏰ ${list.length} agendamento(s):`);
+        for (const s of list) {
+          _log(`  • ${s.id} — ${s.fromName} → ${scheduleTarget(s)}, ${scheduleWhen(s)}, próxima ${s.nextRunAt}` +
+               `${s.runs ? ` (${s.runs} execução(ões))` : ''}: ${consolePreview(s.content)}`);
+        }
+        return;
+      }
+
+      if (sub === 'cancel') {
+        if (!tokens[1]) {
+          _log('  Uso: /schedule cancel <scheduleId>');
+        } else if (deleteSchedule(tokens[1])) {
+          audit('schedule.cancel', { agent: 'broker', scheduleId: tokens[1] });
+          _log(`  ⏰ Agendamento ${tokens[1]} cancelado.`);
+        } else {
+          _log(`  ❌ Agendamento "${tokens[1]}" não encontrado.`);
+        }
+        return;
+      }
+
+      // in/every <duração> | at <ISO> | cron <5 campos>, seguidos de <id|*> <mensagem>
+      const whenSize = { in: 2, every: 2, at: 2, cron: 6 }[sub];
+      if (!whenSize || tokens.length < whenSize + 2) {
+        _log('  Uso: /schedule in|every <duração> <id|*> <mensagem>   (duração: 30s, 20m, 1h30m, 2d)');
+        _log('       /schedule at <data ISO> <id|*> <mensagem>');
+        _log('       /schedule cron <min> <hora> <dia> <mês> <dia-semana> <id|*> <mensagem>');
+        _log('       /schedule cancel <scheduleId>');
         return;
       }
-      if (!agents.has(targetId)) {
-        _log(`  ❌ Agente "${targetId}" não encontrado. Use /agents para listar.`);
-        rl.prompt();
+      const when    = tokens.slice(1, whenSize);
+      const to      = tokens[whenSize];
+      const content = tokens.slice(whenSize + 1).join(' ');
+      const body    = { to, content };
+      if (sub === 'at') {
+        body.deliverAt = when[0];
+      } else if (sub === 'cron') {
+        body.cron = when.join(' ');
+      } else {
+        const seconds = parseConsoleDuration(when[0]);
+        if (!seconds) {
+          _log(`  ❌ Duração inválida: "${when[0]}". Exemplos: 30s, 20m, 1h30m, 2d`);
+          return;
+        }
+        body[sub === 'in' ? 'delaySeconds' : 'intervalSeconds'] = seconds;
+      }
+
+      const limitError = scheduleLimitError('broker');
+      const { schedule, error } = limitError ? { error: limitError } : buildSchedule('broker', body);
+      if (error) {
+        _log(`  ❌ ${error}`);
         return;
       }
-      pushToAgent(targetId, content);
-      _log(`  💬 Operador → ${agents.get(targetId).name}: ${content}`);
+      putSchedule(schedule);
+      audit('schedule.create', {
+        agent: 'broker', to: schedule.to, scheduleId: schedule.id, when: scheduleWhen(schedule),
+        nextRunAt: schedule.nextRunAt, content: auditPreview(schedule.content)
+      });
+      _log(`  ⏰ Agendado ${schedule.id} para ${scheduleTarget(schedule)} (${scheduleWhen(schedule)}) — próxima: ${schedule.nextRunAt}`);
+    }
+  },
+
+  '/tail': {
+    usage: '/tail',
+    description: 'liga/desliga o acompanhamento de todas as entregas',
+    run() {
+      tailTraffic = !tailTraffic;
+      _log(tailTraffic ? '  👀 Acompanhando o tráfego — /tail de novo para parar.' : '  Acompanhamento de tráfego desligado.');
+    }
+  },
+
+  '/dlq': {
+    usage: '/dlq [id]',
+    description: 'dead-letter queue (também /dlq redeliver <msgId> [para] e /dlq purge [id])',
+    run(args) {
+      const [sub, ...rest] = args.split(/\s+/).filter(Boolean);
+      const involves = (d, id) => !id || d.from === id || d.to === id;
+
+      if (sub === 'redeliver') {
+        const [msgId, to] = rest;
+        if (!msgId) {
+          _log('  Uso: /dlq redeliver <msgId> [para]');
+        } else if (!deadLetters.has(msgId)) {
+          _log(`  ❌ Mensagem "${msgId}" não está na dead-letter queue.`);
+        } else {
+          const target = redeliverDeadLetter(msgId, to);
+          _log(target
+            ? `  ♻️  ${msgId} devolvida à fila de ${agentName(target)}`
+            : `  ❌ Agente "${to || deadLetters.get(msgId).to}" não encontrado.`);
+        }
+      } else if (sub === 'purge') {
+        const ids = [...deadLetters.values()].filter(d => involves(d, rest[0])).map(d => d.id);
+        _log(`  🗑️  ${removeDeadLetters(ids)} mensagem(ns) apagada(s) da dead-letter queue`);
+      } else {
+        const list = [...deadLetters.values()].filter(d => involves(d, sub)).reverse();
+        if (list.length === 0) {
+          _log('  Dead-letter queue vazia.');
+        } else {
+          for (const d of list.slice(0, 20)) {
+            _log(`  • ${d.id} — ${d.fromName} → ${d.to} [${d.reason}] ${d.deadAt}: ${consolePreview(d.content)}`);
+          }
+          if (list.length > 20) _log(`  ... e mais ${list.length - 20}`);
+        }
+      }
+    }
+  }
+};
+
+// @agentId[:tipo] mensagem
+function sendFromConsole(input) {
+  const spaceIdx = input.indexOf(' ');
+  if (spaceIdx === -1) {
+    _log('  Uso: @<id>[:tipo] <mensagem>');
+    return;
+  }
+  const [targetId, type = 'text'] = input.slice(1, spaceIdx).split(':');
+  const content = input.slice(spaceIdx + 1).trim();
+  if (!content) {
+    _log('  Mensagem vazia.');
+    return;
+  }
+  const typed = parseTypedPayload(type);
+  if (typed.error) {
+    _log(`  ❌ ${typed.error}`);
+    return;
+  }
+  if (!hasMailbox(targetId)) {
+    _log(`  ❌ Agente "${targetId}" não encontrado. Use /agents para listar.`);
+    return;
+  }
+  pushToAgent(targetId, content, type);
+  const typeTag = type === 'text' ? '' : ` [${type}]`;
+  _log(`  💬 Operador → ${agentName(targetId)}${agents.has(targetId) ? '' : ' (offline, na caixa postal)'}${typeTag}: ${content}`);
+}
+
+// Tab: nomes de comando, @<id> e o primeiro argumento dos comandos com complete
+function completeConsoleLine(line) {
+  const agentIds = [...agents.keys(), ...offlineAgents.keys()];
+  const word = line.slice(line.lastIndexOf(' ') + 1);
+  let candidates = [];
+
+  if (!line.includes(' ')) {
+    candidates = line.startsWith('@')
+      ? agentIds.map(id => `@${id}`)
+      : Object.keys(consoleCommands);
+  } else {
+    const parts = line.split(' ');
+    const kind  = parts.length === 2 ? consoleCommands[parts[0]]?.complete : null;
+    if (kind === 'agent') candidates = agentIds;
+    if (kind === 'context') candidates = [...sharedContext.keys()];
+  }
+
+  const hits = candidates.filter(c => c.startsWith(word)).sort();
+  return [hits, word];
+}
+
+function startConsole() {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer: completeConsoleLine
+  });
+  rl.setPrompt('broker> ');
+  rl.prompt();
+
+  rl.on('line', (line) => {
+    const input = line.trim();
+    if (!input) { rl.prompt(); return; }
+
+    if (input.startsWith('/')) {
+      const spaceIdx = input.search(/\s/);
+      const name = spaceIdx === -1 ? input : input.slice(0, spaceIdx);
+      const args = spaceIdx === -1 ? '' : input.slice(spaceIdx + 1).trim();
+      const cmd  = consoleCommands[name];
+      if (cmd) {
+        cmd.run(args);
+      } else {
+        _log(`  ❌ Comando desconhecido: ${name}. Use /help.`);
+      }
+      rl.prompt();
+      return;
+    }
+
+    if (input.startsWith('@')) {
+      sendFromConsole(input);
       rl.prompt();
       return;
     }
@@ -507,15 +4351,25 @@ function startConsole() {
 // Start
 // ══════════════════════════════════════════════
 
+loadState();
+
 const httpServer = app.listen(PORT, '0.0.0.0', () => {
   console.log('');
   console.log(`  🤖 Skvil-Piertotum Broker — Rodando!`);
   console.log(`  Endereço : http://0.0.0.0:${PORT}`);
   console.log(`  Status   : http://localhost:${PORT}/status`);
+  console.log(`  Dashboard: http://localhost:${PORT}/ui`);
   console.log(`  Configure: BROKER_URL=http://<seu-ip>:${PORT}`);
+  console.log(`  Estado   : ${DATA_DIR ? `persistido em ${resolve(DATA_DIR)}` : 'apenas em memória'}`);
+  console.log(`  Audit    : ${AUDIT_FILE ? resolve(AUDIT_FILE) : 'desativado'}`);
+  console.log(`  Offline  : ${MAILBOX_RETENTION_MS > 0 ? `caixa postal guardada por ${MAILBOX_RETENTION_HOURS}h` : 'caixa postal desativada — fila apagada ao sair'}`);
+  console.log(`  Auth     : ${AUTH_TOKEN ? 'token obrigatório (BROKER_TOKEN)' : '⚠️  desativada — qualquer host da rede tem acesso total'}`);
+  if (DASHBOARD_TOKEN) {
+    console.log(`  Token UI : ${DASHBOARD_TOKEN_FIXED ? 'definido (BROKER_DASHBOARD_TOKEN)' : `${DASHBOARD_TOKEN} — gerado neste início; fixe com BROKER_DASHBOARD_TOKEN`}`);
+  }
   console.log('');
   console.log(`  Digite uma mensagem e pressione Enter para fazer broadcast.`);
-  console.log(`  Use @<id> <mensagem> para falar com um agente específico.`);
+  console.log(`  Use @<id>[:tipo] <mensagem> para falar com um agente específico.`);
   console.log(`  /agents lista os conectados. /help para ajuda completa.`);
   console.log('');
 
@@ -523,14 +4377,63 @@ const httpServer = app.listen(PORT, '0.0.0.0', () => {
   setInterval(() => {
     const now = Date.now();
     for (const [id, info] of agents) {
-      if (now - new Date(info.lastSeen).getTime() > STALE_AGENT_THRESHOLD_MS) {
-        agents.delete(id);
-        messages.delete(id);
+      if (isAgentStale(id, info, now)) {
+        removeAgent(id, undefined, MAILBOX_RETENTION_MS > 0);
+        incMetric('skvil_reaper_evictions_total', { kind: 'agent' });
+        audit('agent.evict', { agent: 'broker', to: id, kind: 'agent' });
         console.log(`  🕒 Agente removido por inatividade: ${info.name} (${id})`);
       }
     }
+    // Caixas postais vencidas (ou além do limite) são descartadas; o que não foi lido expira.
+    // offlineAgents está em ordem de offlineSince — a mais antiga vem primeiro.
+    let excess = offlineAgents.size - MAX_MAILBOXES;
+    for (const [id, info] of [...offlineAgents]) {
+      const expired = now - new Date(info.offlineSince).getTime() >= MAILBOX_RETENTION_MS;
+      if (!expired && excess <= 0) break;
+      removeAgent(id);
+      incMetric('skvil_reaper_evictions_total', { kind: 'mailbox' });
+      audit('agent.evict', { agent: 'broker', to: id, kind: 'mailbox' });
+      excess--;
+      console.log(`  📪 Caixa postal descartada: ${info.name} (${id})`);
+    }
   }, 30_000);
 
+  // Sweeper de leases — libera locks não renovados (e passa para a fila)
+  setInterval(() => {
+    const now = Date.now();
+    for (const [name, lock] of [...locks]) {
+      if (isLockExpired(lock, now)) releaseLock(name, 'expirado');
+    }
+  }, LOCK_SWEEP_INTERVAL_MS);
+
+  // Sweeper de blobs — apaga arquivos vencidos
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, blob] of [...blobs]) {
+      if (isBlobExpired(blob, now)) deleteBlob(id);
+    }
+  }, BLOB_SWEEP_INTERVAL_MS);
+
+  // Agendamentos — entrega o que venceu
+  setInterval(runDueSchedules, SCHEDULE_TICK_MS);
+
+  // Sweeper de contexto — apaga chaves com TTL vencido
+  setInterval(() => {
+    const now = Date.now();
+    let expired = 0;
+    for (const [key, ctx] of sharedContext) {
+      if (isContextExpired(ctx, now) && deleteContext(key)) {
+        audit('context.delete', { agent: 'broker', key, reason: 'ttl' });
+        expired++;
+      }
+    }
+    if (expired > 0) console.log(`  ⌛ ${expired} chave(s) de contexto expirada(s)`);
+  }, CONTEXT_SWEEP_INTERVAL_MS);
+
+  if (DATA_DIR) {
+    setInterval(compact, COMPACT_INTERVAL_MS).unref();
+  }
+
   startConsole();
 });
 
@@ -556,6 +4459,9 @@ const shutdown = () => {
   shuttingDown = true;
   _log('\n  🛑 Broker encerrando...');
   if (rl) rl.close();
+  compact();
+  // Streams SSE nunca terminam sozinhos — sem isso o close() esperaria o timeout
+  for (const agentId of [...streams.keys()]) closeStreams(agentId);
   httpServer.close(() => {
     _log('  Broker encerrado.');
     process.exit(0);
@@ -11,15 +11,22 @@
  *   AGENT_ID          — ID único deste agente (ex: "api", "front", "mobile")
  *   AGENT_NAME        — Nome legível (ex: "Projeto API")
  *   PROJECT_NAME      — Nome do projeto (ex: "meu-saas")
+ *   BROKER_TOKEN      — Segredo compartilhado, se o broker exigir autenticação
+ *   AGENT_CAPABILITIES — O que este agente faz, separado por vírgula (ex: "database,backend")
+ *   AGENT_TAGS        — Rótulos livres, separados por vírgula (ex: "python,staging")
+ *   AGENT_DESCRIPTION — Descrição curta do agente (ex: "Cuida do schema Postgres")
  */
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
 import os from 'os';
-import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { lstatSync, mkdirSync, readFileSync, realpathSync, statSync, writeFileSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { basename, dirname, extname, join, relative, resolve, sep } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PKG_VERSION = (() => {
@@ -49,8 +56,39 @@ const BROKER_URL   = validateBrokerUrl(process.env.BROKER_URL || 'http://localho
 const AGENT_ID     = (process.env.AGENT_ID || os.hostname()).toLowerCase().replace(/[^a-z0-9-]/g, '-');
 const AGENT_NAME   = process.env.AGENT_NAME || `SP-${AGENT_ID}`;
 const PROJECT_NAME = process.env.PROJECT_NAME || 'unknown';
+const BROKER_TOKEN = process.env.BROKER_TOKEN || null;
+
+// Lista separada por vírgula; rótulos inválidos são descartados com aviso
+// (senão o broker recusaria o registro inteiro)
+function parseLabels(envName) {
+  const labels = (process.env[envName] || '').split(',').map(s => s.trim()).filter(Boolean);
+  const valid  = labels.filter(l => /^[\w.:-]{1,64}$/.test(l));
+  if (valid.length < labels.length) {
+    process.stderr.write(`⚠️  ${envName}: rótulo(s) inválido(s) ignorado(s): ${labels.filter(l => !valid.includes(l)).join(', ')}\n`);
+  }
+  return valid.slice(0, 32);
+}
+
+// Perfil para descoberta (sp_find_agents) — alterável em runtime via sp_set_profile
+// e reenviado a cada registro
+const agentProfile = {
+  capabilities: parseLabels('AGENT_CAPABILITIES'),
+  tags: parseLabels('AGENT_TAGS'),
+  description: (process.env.AGENT_DESCRIPTION || '').slice(0, 500)
+};
+
+// Status de presença atual — reenviado a cada registro para sobreviver a um restart do broker
+const presence = { status: 'online', note: '' };
 
-const FETCH_TIMEOUT_MS = 5000;
+// Token emitido pelo broker no registro (só existe se o broker exigir autenticação)
+let agentToken = null;
+
+// Canais assinados por este agente — reenviados a cada registro para que as
+// inscrições sobrevivam a um restart do broker
+const subscribedChannels = new Set();
+
+const FETCH_TIMEOUT_MS    = 5000;
+const STREAM_RETRY_MAX_MS = 30_000;
 
 // ══════════════════════════════════════════════
 // Helpers de formatação
@@ -75,23 +113,89 @@ function formatLastSeen(lastSeenIso) {
   return `há ${Math.floor(diffM / 60)}h`;
 }
 
+const AGENT_STATUS_ICONS = { online: '🟢', idle: '💤', busy: '🔨', blocked: '⛔', offline: '🔴' };
+
+function formatAgentStatus(agent) {
+  const status = agent.status || 'online';
+  return `${AGENT_STATUS_ICONS[status] || ''} ${status}${agent.statusNote ? ` (${agent.statusNote})` : ''}`;
+}
+
+// ══════════════════════════════════════════════
+// Helpers: tipos de mensagem e payload estruturado
+// Quem valida é o broker — aqui só se aceita qualquer nome bem-formado
+// (embutido ou registrado com sp_register_type) e se formata o payload.
+// ══════════════════════════════════════════════
+
+const messageType = z.string().regex(/^[a-z][a-z0-9._-]{1,63}$/)
+  .describe('Tipo da mensagem (padrão: "text") — embutidos: text, code, schema, endpoint, config; customizados: veja sp_message_types');
+
+const messagePayload = z.record(z.string(), z.any())
+  .describe('Dados estruturados, validados pelo broker contra o schema do tipo. Ex: code → { language, path?, startLine?, snippet }; endpoint → { method, path, description?, auth?, query?, requestBody?, responses? } com responses indexado pelo status ("200", "404"...)');
+
+const messagePriority = z.enum(['low', 'normal', 'high', 'urgent'])
+  .describe('Prioridade (padrão: "normal") — o destinatário lê as de maior prioridade primeiro. Use "urgent" só para o que deve interromper o trabalho dele (ex: "parem, o banco de prod está em migração")');
+
+const PRIORITY_LABELS = { low: '🔽 baixa', high: '❗ alta', urgent: '🚨 URGENTE' };
+
+function jsonBlock(value) {
+  return `\`\`\`json\n${JSON.stringify(value, null, 2)}\n\`\`\``;
+}
+
+function formatPayload(type, payload) {
+  if (payload === undefined) return '';
+  switch (type) {
+    case 'code': {
+      const where = payload.path ? `📄 ${payload.path}${payload.startLine ? `:${payload.startLine}` : ''}\n` : '';
+      return `\n\n${where}\`\`\`${payload.language}\n${payload.snippet}\n\`\`\``;
+    }
+    case 'endpoint': {
+      const lines = [`🔌 ${payload.method} ${payload.path}`];
+      if (payload.description) lines.push(payload.description);
+      if (payload.auth) lines.push(`🔐 Auth: ${payload.auth}`);
+      if (payload.query) lines.push(`Query:\n${jsonBlock(payload.query)}`);
+      if (payload.requestBody !== undefined) lines.push(`Corpo da requisição:\n${jsonBlock(payload.requestBody)}`);
+      for (const [status, body] of Object.entries(payload.responses || {})) {
+        lines.push(`Resposta ${status}:\n${jsonBlock(body)}`);
+      }
+      return `\n\n${lines.join('\n')}`;
+    }
+    case 'schema': {
+      const header = `🧬 ${payload.name}${payload.format ? ` (${payload.format})` : ''}`;
+      const body = typeof payload.definition === 'string'
+        ? `\`\`\`${payload.format || ''}\n${payload.definition}\n\`\`\``
+        : jsonBlock(payload.definition);
+      return `\n\n${header}\n${body}`;
+    }
+    case 'config':
+      return `\n\n⚙️  ${payload.name}${payload.environment ? ` [${payload.environment}]` : ''}\n${jsonBlock(payload.values)}`;
+    default:
+      return `\n\n🧩 Payload:\n${jsonBlock(payload)}`;
+  }
+}
+
 // ══════════════════════════════════════════════
 // Helper: chamadas HTTP ao broker
 // ══════════════════════════════════════════════
 
+function authHeaders(token = agentToken || BROKER_TOKEN) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
 async function brokerFetch(path, options = {}) {
   const url = `${BROKER_URL}${path}`;
+  const { headers, ...rest } = options;
   try {
     const res = await fetch(url, {
       signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
-      headers: { 'Content-Type': 'application/json' },
-      ...options
+      ...rest,
+      headers: { 'Content-Type': 'application/json', ...authHeaders(), ...headers }
     });
     if (!res.ok) {
       // Tenta extrair mensagem de erro do body JSON, sem falhar se não for JSON
       let body;
       try { body = await res.json(); } catch { body = {}; }
-      return { error: body.error || `HTTP ${res.status} ${res.statusText}` };
+      const issues = Array.isArray(body.issues) ? `\n  • ${body.issues.join('\n  • ')}` : '';
+      return { error: (body.error || `HTTP ${res.status} ${res.statusText}`) + issues, status: res.status };
     }
     try {
       return await res.json();
@@ -106,39 +210,116 @@ async function brokerFetch(path, options = {}) {
   }
 }
 
-async function brokerPost(path, body) {
+// Download binário (blobs) — brokerFetch só entende JSON.
+// Retorna { data: Buffer, name } ou { error }.
+async function brokerDownload(path) {
+  try {
+    const res = await fetch(`${BROKER_URL}${path}`, {
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      headers: authHeaders()
+    });
+    if (!res.ok) {
+      let body;
+      try { body = await res.json(); } catch { body = {}; }
+      return { error: body.error || `HTTP ${res.status} ${res.statusText}`, status: res.status };
+    }
+    const name = res.headers.get('x-blob-name');
+    return { data: Buffer.from(await res.arrayBuffer()), name: name ? decodeURIComponent(name) : null };
+  } catch (err) {
+    if (err.name === 'TimeoutError') {
+      return { error: `Broker não respondeu em ${FETCH_TIMEOUT_MS / 1000}s` };
+    }
+    return { error: `Falha ao conectar ao broker: ${err.message}` };
+  }
+}
+
+async function brokerPost(path, body, options = {}) {
   return brokerFetch(path, {
+    ...options,
     method: 'POST',
     body: JSON.stringify(body)
   });
 }
 
 // ══════════════════════════════════════════════
-// Helper: atualiza status deste agente no broker
+// Helper: registro no broker (reutilizado no heartbeat)
 // ══════════════════════════════════════════════
 
-async function setStatus(value) {
-  const result = await brokerPost('/context', {
-    key: `${AGENT_ID}-status`,
-    value,
-    setBy: AGENT_ID
-  });
-  if (result.error) {
-    process.stderr.write(`⚠️  setStatus falhou: ${result.error}\n`);
+async function register() {
+  // O registro sempre usa o segredo compartilhado; o token atual (se houver)
+  // vai em X-Agent-Token — o broker o exige para re-registrar um agente online
+  const result = await brokerPost('/agents/register', {
+    agentId: AGENT_ID,
+    name: AGENT_NAME,
+    project: PROJECT_NAME,
+    path: process.cwd(),
+    ...agentProfile,
+    status: presence.status,
+    statusNote: presence.note,
+    channels: [...subscribedChannels]
+  }, { headers: { ...authHeaders(BROKER_TOKEN), ...(agentToken && { 'X-Agent-Token': agentToken }) } });
+  if (!result.error) {
+    agentToken = result.token || null;
+    // Mensagens recebidas enquanto offline continuam na fila (caixa postal)
+    if (result.pendingMessages > 0) {
+      process.stderr.write(`📬 ${result.pendingMessages} mensagem(ns) não lida(s) aguardando na fila\n`);
+    }
   }
+  return result;
 }
 
 // ══════════════════════════════════════════════
-// Helper: registro no broker (reutilizado no heartbeat)
+// Helper: espera pela resposta correlacionada a uma mensagem
+// Com o stream SSE conectado, a fila só é consultada quando chega o evento
+// "message" com o mesmo correlationId (ou após uma reconexão do stream);
+// sem stream, volta a verificar a fila a cada REPLY_POLL_INTERVAL_MS.
+// onTick(elapsedMs) é chamado a cada intervalo — o sp_request o usa para
+// enviar notificações de progresso ao cliente MCP.
+// Retorna { message } (já com ACK), { message: null } no timeout, ou { error }.
 // ══════════════════════════════════════════════
 
-async function register() {
-  return brokerPost('/agents/register', {
-    agentId: AGENT_ID,
-    name: AGENT_NAME,
-    project: PROJECT_NAME,
-    path: process.cwd()
-  });
+const REPLY_POLL_INTERVAL_MS = 3000;
+const replyWaiters = new Map(); // correlationId -> () => void
+
+async function waitForReply(correlationId, timeoutMs, onTick) {
+  const startedAt = Date.now();
+  const deadline  = startedAt + timeoutMs;
+  // O waiter é registrado antes da primeira consulta: um evento que chegue
+  // durante o fetch marca "woken" e não se perde
+  let woken = true;
+  let wake  = () => {};
+  let epoch = streamEpoch;
+  replyWaiters.set(correlationId, () => { woken = true; wake(); });
+  try {
+    while (true) {
+      if (woken || !streamConnected || epoch !== streamEpoch) {
+        woken = false;
+        epoch = streamEpoch;
+        const result = await brokerFetch(`/messages/${AGENT_ID}?unread=true`);
+        if (result.error) return { error: result.error };
+
+        const message = result.messages.find(m => m.correlationId === correlationId);
+        if (message) {
+          const ackResult = await brokerPost(`/messages/${AGENT_ID}/ack`, { ids: [message.id] });
+          if (ackResult.error) {
+            process.stderr.write(`⚠️  ACK falhou: ${ackResult.error}\n`);
+          }
+          return { message };
+        }
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return { message: null };
+      await new Promise(resolve => {
+        if (woken) return resolve();
+        const timer = setTimeout(resolve, Math.min(REPLY_POLL_INTERVAL_MS, remaining));
+        wake = () => { clearTimeout(timer); resolve(); };
+      });
+      if (!woken) onTick?.(Date.now() - startedAt);
+    }
+  } finally {
+    replyWaiters.delete(correlationId);
+  }
 }
 
 // ══════════════════════════════════════════════
@@ -149,8 +330,16 @@ const server = new McpServer({
   name: 'skvil-piertotum',
   version: PKG_VERSION,
   description: 'Comunicação entre instâncias do Claude Code via broker central'
+}, {
+  capabilities: { logging: {}, resources: { subscribe: true, listChanged: true } }
 });
 
+// Notificação MCP (notifications/message) — ignorada se o cliente ainda não conectou
+function notify(level, data) {
+  if (!server.isConnected()) return;
+  server.sendLoggingMessage({ level, logger: 'skvil-piertotum', data }).catch(() => {});
+}
+
 // ══════════════════════════════════════════════
 // Tool: registrar este agente no broker
 // ══════════════════════════════════════════════
@@ -166,7 +355,8 @@ server.tool(
         type: 'text',
         text: result.error
           ? `❌ Erro ao registrar: ${result.error}`
-          : `✅ Registrado como "${AGENT_NAME}" (ID: ${AGENT_ID}). Total de agentes: ${result.totalAgents}`
+          : `✅ Registrado como "${AGENT_NAME}" (ID: ${AGENT_ID}). Total de agentes: ${result.totalAgents}` +
+            (result.pendingMessages > 0 ? `\n📬 ${result.pendingMessages} mensagem(ns) não lida(s) na fila — use sp_read.` : '')
       }]
     };
   }
@@ -189,7 +379,7 @@ server.tool(
     if (!result.agents) {
       return { content: [{ type: 'text', text: '⚠️  Resposta inesperada do broker' }] };
     }
-    if (result.agents.length === 0) {
+    if (result.agents.length === 0 && !result.offline?.length) {
       return { content: [{ type: 'text', text: '📭 Nenhum agente registrado.' }] };
     }
 
@@ -197,13 +387,124 @@ server.tool(
       const lastSeen = formatLastSeen(a.lastSeen);
       const diffMs   = a.lastSeen ? Date.now() - new Date(a.lastSeen).getTime() : 0;
       const stale    = diffMs > 60_000 ? ' ⚠️ sem sinal' : '';
-      return `• ${a.name} (${a.agentId}) — projeto: ${a.project} — último sinal: ${lastSeen}${stale}`;
+      return `• ${a.name} (${a.agentId}) — ${formatAgentStatus(a)} — projeto: ${a.project} — último sinal: ${lastSeen}${stale}`;
+    });
+
+    // Offline com caixa postal: ainda recebem mensagens, entregues quando voltarem
+    const offline = (result.offline || []).map(a =>
+      `• ${a.name} (${a.agentId}) — projeto: ${a.project} — offline ${formatLastSeen(a.offlineSince)}, ${a.pendingMessages} pendente(s)`);
+    const offlineNote = offline.length > 0
+      ? `\n\n📪 Offline (mensagens ficam na caixa postal):\n\n${offline.join('\n')}`
+      : '';
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🤖 Agentes conectados (${result.agents.length}):\n\n${lines.join('\n')}${offlineNote}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tools: perfil, status de presença e descoberta de agentes
+// ══════════════════════════════════════════════
+
+const agentLabel = z.string().regex(/^[\w.:-]{1,64}$/);
+
+server.tool(
+  'sp_find_agents',
+  'Encontra agentes por capacidade, tag ou projeto (ex: quem cuida de "database"?). Filtros combinam com E; sem filtros lista todos com o perfil completo.',
+  {
+    capability: agentLabel.optional().describe('Capacidade exigida (ex: "database")'),
+    tag: agentLabel.optional().describe('Tag exigida (ex: "python")'),
+    project: z.string().optional().describe('Nome do projeto')
+  },
+  async ({ capability, tag, project }) => {
+    const query = new URLSearchParams();
+    if (capability) query.set('capability', capability);
+    if (tag) query.set('tag', tag);
+    if (project) query.set('project', project);
+    const result = await brokerFetch(`/agents?${query}`);
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+
+    const describe = (a) => {
+      const caps = a.capabilities?.length ? `\n  🛠️  ${a.capabilities.join(', ')}` : '';
+      const tags = a.tags?.length ? `\n  🏷️  ${a.tags.join(', ')}` : '';
+      const desc = a.description ? `\n  📝 ${a.description}` : '';
+      return `${caps}${tags}${desc}`;
+    };
+    const online = result.agents.map(a => {
+      const diffMs = Date.now() - new Date(a.lastSeen).getTime();
+      const stale  = diffMs > 60_000 ? ' ⚠️ sem sinal' : '';
+      return `• ${a.name} (${a.agentId}) — ${formatAgentStatus(a)} — projeto: ${a.project} — último sinal: ${formatLastSeen(a.lastSeen)}${stale}${describe(a)}`;
+    });
+    const offline = (result.offline || []).map(a =>
+      `• ${a.name} (${a.agentId}) — 📪 offline ${formatLastSeen(a.offlineSince)}${describe(a)}`);
+
+    if (online.length === 0 && offline.length === 0) {
+      return { content: [{ type: 'text', text: '🔍 Nenhum agente encontrado com esses filtros.' }] };
+    }
+    return {
+      content: [{
+        type: 'text',
+        text: `🔍 ${online.length} agente(s) online${offline.length ? `, ${offline.length} offline` : ''}:\n\n${[...online, ...offline].join('\n')}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'sp_set_status',
+  'Define o status de presença deste agente, visível em sp_list_agents e anunciado aos outros: "online" (disponível), "idle" (ocioso), "busy" (ocupado), "blocked" (travado esperando algo). Use note para dizer no que está trabalhando ou o que está bloqueando.',
+  {
+    status: z.enum(['online', 'idle', 'busy', 'blocked']).describe('Novo status'),
+    note: z.string().max(200).optional().describe('Ex: "migrando tabela users" ou "esperando contrato da API" (omitir apaga a nota anterior)')
+  },
+  async ({ status, note }) => {
+    const result = await brokerPost(`/agents/${AGENT_ID}/status`, { status, note });
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ Erro: ${result.error}` }] };
+    }
+    presence.status = result.status;
+    presence.note   = result.note;
+    return {
+      content: [{
+        type: 'text',
+        text: `${AGENT_STATUS_ICONS[status]} Status: ${status}${result.note ? ` — ${result.note}` : ''}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'sp_set_profile',
+  'Atualiza as capacidades, tags e/ou descrição deste agente (campos omitidos não mudam). Outros agentes os veem em sp_find_agents; as capacidades também definem quais tarefas sp_task_claim_next pega.',
+  {
+    capabilities: z.array(agentLabel).max(32).optional().describe('Ex: ["database", "migrations"]'),
+    tags: z.array(agentLabel).max(32).optional().describe('Ex: ["postgres", "staging"]'),
+    description: z.string().max(500).optional().describe('Descrição curta do que este agente faz')
+  },
+  async ({ capabilities, tags, description }) => {
+    const result = await brokerFetch(`/agents/${AGENT_ID}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ capabilities, tags, description })
     });
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ Erro: ${result.error}` }] };
+    }
+    // Guarda localmente para que um re-registro não volte ao perfil antigo
+    if (capabilities) agentProfile.capabilities = capabilities;
+    if (tags) agentProfile.tags = tags;
+    if (description !== undefined) agentProfile.description = description;
 
+    const a = result.agent;
     return {
       content: [{
         type: 'text',
-        text: `🤖 Agentes conectados (${result.agents.length}):\n\n${lines.join('\n')}`
+        text: `🏷️  Perfil atualizado:\n🛠️  Capacidades: ${a.capabilities.join(', ') || '(nenhuma)'}\n🏷️  Tags: ${a.tags.join(', ') || '(nenhuma)'}\n📝 ${a.description || '(sem descrição)'}`
       }]
     };
   }
@@ -215,18 +516,26 @@ server.tool(
 
 server.tool(
   'sp_send',
-  'Envia uma mensagem para outro agente/terminal do Claude Code. Use o agentId exato (ex: "api", "front") — use sp_list_agents se não souber o ID. O campo type orienta o receptor: "text" para conversas, "code" para trechos de código, "schema" para estruturas de dados, "endpoint" para contratos de API, "config" para configurações.',
+  'Envia uma mensagem para outro agente/terminal do Claude Code. Use o agentId exato (ex: "api", "front") — use sp_list_agents se não souber o ID. O campo type orienta o receptor: "text" para conversas, "code" para trechos de código, "schema" para estruturas de dados, "endpoint" para contratos de API, "config" para configurações. Com payload, a mensagem carrega também os dados estruturados do tipo (ex: endpoint → method, path, responses), validados pelo broker — payload inválido é recusado com a lista de problemas.',
   {
     to: z.string().describe('ID exato do agente destino — use sp_list_agents para ver os IDs disponíveis'),
     content: z.string().describe('Conteúdo da mensagem'),
-    type: z.enum(['text', 'code', 'schema', 'endpoint', 'config']).optional().describe('Tipo da mensagem (padrão: "text")')
+    type: messageType.optional(),
+    payload: messagePayload.optional(),
+    priority: messagePriority.optional(),
+    threadId: z.string().max(128).optional().describe('Agrupa a mensagem numa conversa com histórico (ex: "contrato-auth") — recupere depois com sp_thread'),
+    receipt: z.boolean().optional().describe('Se true, você recebe um recibo (via sp_read) quando a mensagem for lida, descartada ou expirar')
   },
-  async ({ to, content, type }) => {
+  async ({ to, content, type, payload, priority, threadId, receipt }) => {
     const result = await brokerPost('/messages/send', {
       from: AGENT_ID,
       to,
       content,
-      type: type || 'text'
+      type: type || 'text',
+      payload,
+      priority,
+      threadId,
+      receipt
     });
 
     return {
@@ -234,28 +543,35 @@ server.tool(
         type: 'text',
         text: result.error
           ? `❌ Erro: ${result.error}${result.error.includes('404') || result.error.includes('não encontrado') ? ' — use sp_list_agents para ver os IDs disponíveis' : ''}`
-          : `✅ Mensagem enviada para "${to}" (ID: ${result.messageId})`
+          : `✅ Mensagem enviada para "${to}" (ID: ${result.messageId})${result.threadId ? ` na thread "${result.threadId}"` : ''}` +
+            (result.pending ? `\n📪 "${to}" está offline — a mensagem fica na caixa postal até o agente voltar.` : '')
       }]
     };
   }
 );
 
 // ══════════════════════════════════════════════
-// Tool: broadcast para todos os agentes
+// Tool: responder a uma mensagem específica
 // ══════════════════════════════════════════════
 
 server.tool(
-  'sp_broadcast',
-  'Envia mensagem para TODOS os agentes conectados (exceto este). Se sentTo=0, nenhum outro agente está registrado — use sp_list_agents para confirmar.',
+  'sp_reply',
+  'Responde a uma mensagem recebida, pelo ID mostrado em sp_read. A resposta vai para o autor da mensagem original e carrega o mesmo correlationId e threadId — é assim que um sp_request do outro lado recebe a resposta. Use sempre que a mensagem recebida for uma pergunta.',
   {
-    content: z.string().describe('Conteúdo da mensagem para todos'),
-    type: z.enum(['text', 'code', 'schema', 'endpoint', 'config']).optional().describe('Tipo da mensagem')
+    messageId: z.string().describe('ID da mensagem a responder (ex: "msg_1712345678901_abc123")'),
+    content: z.string().describe('Conteúdo da resposta'),
+    type: messageType.optional(),
+    payload: messagePayload.optional(),
+    priority: messagePriority.optional()
   },
-  async ({ content, type }) => {
-    const result = await brokerPost('/messages/broadcast', {
+  async ({ messageId, content, type, payload, priority }) => {
+    const result = await brokerPost('/messages/send', {
       from: AGENT_ID,
+      replyTo: messageId,
       content,
-      type: type || 'text'
+      type: type || 'text',
+      payload,
+      priority
     });
 
     return {
@@ -263,79 +579,103 @@ server.tool(
         type: 'text',
         text: result.error
           ? `❌ Erro: ${result.error}`
-          : result.sentTo === 0
-            ? `⚠️  Broadcast enviado mas nenhum outro agente está registrado (sentTo=0)`
-            : `📢 Broadcast enviado para ${result.sentTo} agente(s)`
+          : `↩️  Resposta enviada para "${result.to}" (ID: ${result.messageId}, correlação: ${result.correlationId})`
       }]
     };
   }
 );
 
 // ══════════════════════════════════════════════
-// Tool: ler mensagens recebidas
+// Tool: pergunta com espera pela resposta
 // ══════════════════════════════════════════════
 
+// Padrão abaixo do timeout típico de 60s dos clientes MCP; esperas mais longas
+// dependem do cliente renovar o timeout a cada notificação de progresso
+const REQUEST_DEFAULT_TIMEOUT_S = 45;
+
 server.tool(
-  'sp_read',
-  'Lê mensagens recebidas de outros agentes e marca as exibidas como lidas (ACK). Use limit para controlar quantas mensagens buscar de uma vez (padrão: 20, máx: 50). Se hasMore=true, chame novamente para ver mais.',
+  'sp_request',
+  'Envia uma pergunta para outro agente e ESPERA a resposta (até timeoutSeconds), retornando-a diretamente. O outro agente precisa responder com sp_reply usando o ID da pergunta. Prefira sp_send quando não precisar da resposta agora.',
   {
-    unreadOnly: z.boolean().optional().describe('Se true, mostra apenas mensagens não lidas (padrão: true)'),
-    limit: z.number().int().min(1).max(50).optional().describe('Máximo de mensagens a retornar (padrão: 20, máx: 50)')
+    to: z.string().describe('ID exato do agente destino — use sp_list_agents para ver os IDs disponíveis'),
+    content: z.string().describe('Pergunta ou pedido'),
+    type: messageType.optional(),
+    payload: messagePayload.optional(),
+    priority: messagePriority.optional(),
+    timeoutSeconds: z.number().int().min(5).max(600).optional().describe(`Quanto esperar pela resposta (padrão: ${REQUEST_DEFAULT_TIMEOUT_S}s, máx: 600s — acima de ~60s só com clientes MCP que renovam o timeout a cada notificação de progresso)`),
+    threadId: z.string().max(128).optional().describe('Thread da conversa (opcional) — a resposta herda o mesmo threadId')
   },
-  async ({ unreadOnly, limit }) => {
-    const showUnreadOnly = unreadOnly !== false; // padrão true
-    const effectiveLimit = Math.min(limit || 20, 50);
-    const query = `?unread=${showUnreadOnly}&limit=${effectiveLimit}`;
-    const result = await brokerFetch(`/messages/${AGENT_ID}${query}`);
-
-    if (result.error) {
-      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+  async ({ to, content, type, payload, priority, timeoutSeconds, threadId }, extra) => {
+    const sent = await brokerPost('/messages/send', {
+      from: AGENT_ID,
+      to,
+      content,
+      type: type || 'text',
+      payload,
+      priority,
+      threadId
+    });
+    if (sent.error) {
+      return { content: [{ type: 'text', text: `❌ Erro: ${sent.error}` }] };
     }
 
-    if (result.messages.length === 0) {
-      return { content: [{ type: 'text', text: '📭 Nenhuma mensagem.' }] };
+    const timeoutMs = (timeoutSeconds || REQUEST_DEFAULT_TIMEOUT_S) * 1000;
+    // Progresso mantém viva a requisição MCP em clientes que renovam o timeout
+    const progressToken = extra._meta?.progressToken;
+    const onTick = progressToken === undefined ? undefined : (elapsedMs) => {
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress: elapsedMs / 1000,
+          total: timeoutMs / 1000,
+          message: `Aguardando resposta de "${to}" (${Math.round(elapsedMs / 1000)}s)`
+        }
+      }).catch(() => {});
+    };
+    const reply = await waitForReply(sent.messageId, timeoutMs, onTick);
+    if (reply.error) {
+      return { content: [{ type: 'text', text: `❌ Pergunta enviada (ID: ${sent.messageId}), mas falhou ao aguardar resposta: ${reply.error}` }] };
     }
-
-    // Marca as mensagens lidas explicitamente (ACK)
-    const ids = result.messages.map(m => m.id).filter(Boolean);
-    if (ids.length > 0) {
-      const ackResult = await brokerPost(`/messages/${AGENT_ID}/ack`, { ids });
-      if (ackResult.error) {
-        process.stderr.write(`⚠️  ACK falhou: ${ackResult.error}\n`);
-      }
+    if (!reply.message) {
+      return {
+        content: [{
+          type: 'text',
+          text: `⏱️  Sem resposta de "${to}" em ${timeoutMs / 1000}s. A pergunta continua na fila dele (ID: ${sent.messageId}) — a resposta chegará via sp_read.`
+        }]
+      };
     }
 
-    const lines = result.messages.map(m =>
-      `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n📨 De: ${m.fromName} (${m.from})\n🕐 ${m.timestamp}\n📎 Tipo: ${m.type}\n🔑 ID: ${m.id}\n\n${m.content}`
-    );
-
-    const hasMoreNote = result.hasMore ? '\n\n⚠️  Há mais mensagens — chame sp_read novamente para ver.' : '';
-
+    const m = reply.message;
     return {
       content: [{
         type: 'text',
-        text: `📬 ${result.messages.length} mensagem(ns)${result.hasMore ? ' — há mais' : ''}:\n\n${lines.join('\n\n')}${hasMoreNote}`
+        text: `↩️  Resposta de ${m.fromName} (${m.from})\n🕐 ${m.timestamp}\n📎 Tipo: ${m.type}\n🔑 ID: ${m.id}\n\n${m.content}${formatPayload(m.type, m.payload)}${formatAttachments(m.attachments)}`
       }]
     };
   }
 );
 
 // ══════════════════════════════════════════════
-// Tool: salvar contexto compartilhado
+// Tool: broadcast para todos os agentes
 // ══════════════════════════════════════════════
 
 server.tool(
-  'sp_set_context',
-  'Salva um dado compartilhado no broker (ex: schema, endpoints, config) para que outros agentes possam ler via sp_get_context. O valor é sempre string — para objetos, use JSON.stringify() antes de salvar e JSON.parse() ao ler.',
+  'sp_broadcast',
+  'Envia mensagem para TODOS os agentes conectados (exceto este). Se sentTo=0, nenhum outro agente está registrado — use sp_list_agents para confirmar.',
   {
-    key: z.string().describe('Chave identificadora (ex: "api-endpoints", "db-schema", "env-vars")'),
-    value: z.string().describe('Conteúdo a ser compartilhado (string; para objetos use JSON.stringify)')
+    content: z.string().describe('Conteúdo da mensagem para todos'),
+    type: messageType.optional(),
+    payload: messagePayload.optional(),
+    priority: messagePriority.optional()
   },
-  async ({ key, value }) => {
-    const result = await brokerPost('/context', {
-      key,
-      value,
-      setBy: AGENT_ID
+  async ({ content, type, payload, priority }) => {
+    const result = await brokerPost('/messages/broadcast', {
+      from: AGENT_ID,
+      content,
+      type: type || 'text',
+      payload,
+      priority
     });
 
     return {
@@ -343,140 +683,1539 @@ server.tool(
         type: 'text',
         text: result.error
           ? `❌ Erro: ${result.error}`
-          : `📦 Contexto "${key}" salvo com sucesso`
+          : result.sentTo === 0
+            ? `⚠️  Broadcast enviado mas nenhum outro agente está registrado (sentTo=0)`
+            : `📢 Broadcast enviado para ${result.sentTo} agente(s)`
       }]
     };
   }
 );
 
 // ══════════════════════════════════════════════
-// Tool: ler contexto compartilhado
+// Tools: canais (pub/sub por tópico)
 // ══════════════════════════════════════════════
 
-server.tool(
-  'sp_get_context',
-  'Lê um dado compartilhado salvo por qualquer agente',
-  {
-    key: z.string().describe('Chave do contexto a ler (ex: "api-endpoints")')
-  },
-  async ({ key }) => {
-    const result = await brokerFetch(`/context/${encodeURIComponent(key)}`);
-
-    if (result.error) {
-      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
-    }
+const channelName = z.string().regex(/^[a-z0-9][a-z0-9._-]{0,63}$/)
+  .describe('Nome do canal (ex: "db-schema-changes", "release") — minúsculas, números, ".", "_" ou "-"');
 
+server.tool(
+  'sp_subscribe',
+  'Assina um canal para receber (via sp_read) tudo que for publicado nele. Diferente do sp_broadcast, só os inscritos recebem. A inscrição é restaurada automaticamente se o broker reiniciar. O canal "presence" é do broker: assine-o para receber entradas, saídas e mudanças de status dos agentes.',
+  { channel: channelName },
+  async ({ channel }) => {
+    const result = await brokerPost(`/channels/${channel}/subscribe`, { agentId: AGENT_ID });
+    if (!result.error) subscribedChannels.add(channel);
     return {
       content: [{
         type: 'text',
-        text: `📦 Contexto: ${key}\nSalvo por: ${result.setByName || result.setBy}\nAtualizado: ${result.timestamp}\n\n${result.value}`
+        text: result.error
+          ? `❌ Erro: ${result.error}`
+          : `📡 Inscrito em #${channel} (${result.subscribers} inscrito(s))`
       }]
     };
   }
 );
 
-// ══════════════════════════════════════════════
-// Tool: listar todos os contextos
-// ══════════════════════════════════════════════
-
 server.tool(
-  'sp_list_contexts',
-  'Lista todas as chaves de contexto compartilhado disponíveis',
-  {},
-  async () => {
-    const result = await brokerFetch('/context');
-
-    if (result.error) {
-      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
-    }
-
-    if (!result.contexts) {
-      return { content: [{ type: 'text', text: '⚠️  Resposta inesperada do broker' }] };
-    }
-    if (result.contexts.length === 0) {
-      return { content: [{ type: 'text', text: '📭 Nenhum contexto compartilhado.' }] };
-    }
-
-    const lines = result.contexts.map(c =>
-      `• "${c.key}" — por ${c.setBy} em ${c.timestamp}`
-    );
-
+  'sp_unsubscribe',
+  'Cancela a inscrição deste agente num canal',
+  { channel: channelName },
+  async ({ channel }) => {
+    const result = await brokerPost(`/channels/${channel}/unsubscribe`, { agentId: AGENT_ID });
+    if (!result.error) subscribedChannels.delete(channel);
     return {
       content: [{
         type: 'text',
-        text: `📦 Contextos compartilhados (${result.contexts.length}):\n\n${lines.join('\n')}`
+        text: result.error
+          ? `❌ Erro: ${result.error}`
+          : result.removed
+            ? `📡 Inscrição em #${channel} cancelada`
+            : `⚠️  Este agente não estava inscrito em #${channel}`
       }]
     };
   }
 );
 
-// ══════════════════════════════════════════════
-// Tool: limpar mensagens recebidas
-// ══════════════════════════════════════════════
-
 server.tool(
-  'sp_clear',
-  'Limpa todas as mensagens recebidas (lidas e não lidas)',
-  {},
-  async () => {
-    const result = await brokerFetch(`/messages/${AGENT_ID}`, { method: 'DELETE' });
+  'sp_publish',
+  'Publica uma mensagem num canal — entregue a todos os inscritos (exceto este agente). Se sentTo=0, ninguém está inscrito; use sp_list_channels para ver os canais ativos.',
+  {
+    channel: channelName,
+    content: z.string().describe('Conteúdo da mensagem'),
+    type: messageType.optional(),
+    payload: messagePayload.optional(),
+    priority: messagePriority.optional()
+  },
+  async ({ channel, content, type, payload, priority }) => {
+    const result = await brokerPost(`/channels/${channel}/publish`, {
+      from: AGENT_ID,
+      content,
+      type: type || 'text',
+      payload,
+      priority
+    });
     return {
       content: [{
         type: 'text',
         text: result.error
           ? `❌ Erro: ${result.error}`
-          : `🗑️ ${result.cleared} mensagem(ns) removida(s)`
+          : result.sentTo === 0
+            ? `⚠️  Publicado em #${channel}, mas nenhum outro agente está inscrito (sentTo=0)`
+            : `📡 Publicado em #${channel} para ${result.sentTo} inscrito(s)`
       }]
     };
   }
 );
 
-// ══════════════════════════════════════════════
-// Tool: status geral do broker
-// ══════════════════════════════════════════════
-
 server.tool(
-  'sp_status',
-  'Mostra o status geral do broker: agentes conectados, mensagens pendentes, etc.',
+  'sp_list_channels',
+  'Lista os canais ativos com o número de inscritos',
   {},
   async () => {
-    const result = await brokerFetch('/status');
-
+    const result = await brokerFetch('/channels');
     if (result.error) {
       return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
     }
+    if (result.channels.length === 0) {
+      return { content: [{ type: 'text', text: '📭 Nenhum canal ativo.' }] };
+    }
 
-    const agentLines = (result.agents || []).map(a =>
-      `  • ${a.name} (${a.agentId}) — ${a.project} — ${a.unreadMessages} msgs não lidas`
-    );
+    const lines = result.channels.map(c => {
+      const mine = c.subscriberIds.includes(AGENT_ID) ? ' ✅ inscrito' : '';
+      return `• #${c.channel} — ${c.subscribers} inscrito(s): ${c.subscriberIds.join(', ')}${mine}`;
+    });
 
     return {
       content: [{
         type: 'text',
-        text: [
-          `🏠 Skvil-Piertotum Broker`,
-          `Uptime: ${formatUptime(result.uptime)}`,
-          `Agentes: ${result.totalAgents}`,
-          `Contextos compartilhados: ${result.totalContextKeys}`,
-          '',
-          agentLines.length > 0 ? agentLines.join('\n') : '  Nenhum agente conectado'
-        ].join('\n')
+        text: `📡 Canais (${result.channels.length}):\n\n${lines.join('\n')}`
       }]
     };
   }
 );
 
 // ══════════════════════════════════════════════
-// Deregistro gracioso ao encerrar
+// Tools: mensagens agendadas (atrasadas e recorrentes)
 // ══════════════════════════════════════════════
 
-async function deregister() {
-  try {
-    await fetch(`${BROKER_URL}/agents/${AGENT_ID}`, {
-      method: 'DELETE',
-      signal: AbortSignal.timeout(3000)
-    });
-  } catch {
+function formatScheduleWhen(s) {
+  if (s.cron) return `cron "${s.cron}"`;
+  if (s.intervalSeconds) return `a cada ${formatUptime(s.intervalSeconds)}`;
+  return 'uma vez';
+}
+
+server.tool(
+  'sp_schedule',
+  'Agenda uma mensagem para depois ou para se repetir — o broker entrega sozinho, mesmo que você esteja ocupado. Ex: lembrar "front" em 20 minutos de rodar o e2e (delaySeconds=1200) ou pedir um resumo de status a todos de hora em hora (to="*", intervalSeconds=3600). Informe delaySeconds ou deliverAt para a primeira entrega e, para repetir, intervalSeconds ou cron. Cancele com sp_cancel_schedule.',
+  {
+    to: z.string().describe('ID do agente destino, ou "*" para todos os agentes online'),
+    content: z.string().describe('Conteúdo da mensagem'),
+    delaySeconds: z.number().int().min(1).max(30 * 24 * 3600).optional().describe('Entregar daqui a N segundos'),
+    deliverAt: z.string().optional().describe('Entregar neste instante (ISO 8601, ex: "2026-10-20T09:00:00-03:00")'),
+    intervalSeconds: z.number().int().min(60).max(30 * 24 * 3600).optional().describe('Repetir a cada N segundos (mín. 60)'),
+    cron: z.string().optional().describe('Repetir conforme cron de 5 campos na hora local do broker (ex: "0 9 * * 1-5" = dias úteis às 9h)'),
+    maxRuns: z.number().int().min(1).max(10_000).optional().describe('Parar depois de N entregas (padrão: sem limite nos recorrentes)'),
+    type: messageType.optional(),
+    payload: messagePayload.optional(),
+    priority: messagePriority.optional()
+  },
+  async ({ to, content, delaySeconds, deliverAt, intervalSeconds, cron, maxRuns, type, payload, priority }) => {
+    const result = await brokerPost('/schedules', {
+      from: AGENT_ID,
+      to,
+      content,
+      delaySeconds,
+      deliverAt,
+      intervalSeconds,
+      cron,
+      maxRuns,
+      type: type || 'text',
+      payload,
+      priority
+    });
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ Erro: ${result.error}` }] };
+    }
+    const s = result.schedule;
+    return {
+      content: [{
+        type: 'text',
+        text: `⏰ Agendado para ${s.to === '*' ? 'todos os agentes' : `"${s.to}"`} (${formatScheduleWhen(s)}) — primeira entrega: ${s.nextRunAt}\n🔑 ID: ${s.id}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'sp_list_schedules',
+  'Lista as mensagens agendadas que você criou ou que são para você, próximas entregas primeiro',
+  {
+    mine: z.boolean().optional().describe('Se true, só as criadas por este agente (padrão: false)')
+  },
+  async ({ mine }) => {
+    const result = await brokerFetch(mine ? `/schedules?from=${encodeURIComponent(AGENT_ID)}` : '/schedules');
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+    if (result.schedules.length === 0) {
+      return { content: [{ type: 'text', text: '⏰ Nenhuma mensagem agendada.' }] };
+    }
+
+    const lines = result.schedules.map(s => {
+      const target = s.to === '*' ? 'todos' : s.to;
+      const runs   = s.runs ? `, ${s.runs} entrega(s)${s.maxRuns ? ` de ${s.maxRuns}` : ''}` : '';
+      const text   = s.content.length > 80 ? s.content.slice(0, 80) + '...' : s.content;
+      return `• ${s.id} — ${s.fromName} → ${target}, ${formatScheduleWhen(s)}${runs}\n  próxima: ${s.nextRunAt}\n  ${text}`;
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: `⏰ ${result.schedules.length} agendamento(s):\n\n${lines.join('\n')}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'sp_cancel_schedule',
+  'Cancela uma mensagem agendada (quem a criou ou, se for direta, o destinatário)',
+  {
+    scheduleId: z.string().describe('ID do agendamento (ex: "sched_1712345678901_abc123") — veja sp_list_schedules')
+  },
+  async ({ scheduleId }) => {
+    const result = await brokerFetch(`/schedules/${encodeURIComponent(scheduleId)}`, { method: 'DELETE' });
+    return {
+      content: [{
+        type: 'text',
+        text: result.error ? `❌ Erro: ${result.error}` : `🗑️  Agendamento ${scheduleId} cancelado`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: ler mensagens recebidas
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_read',
+  'Lê mensagens recebidas de outros agentes e marca as exibidas como lidas (ACK). As urgentes vêm primeiro, num bloco próprio — trate-as antes das demais. Use limit para controlar quantas mensagens buscar de uma vez (padrão: 20, máx: 50). Se hasMore=true, chame novamente para ver mais.',
+  {
+    unreadOnly: z.boolean().optional().describe('Se true, mostra apenas mensagens não lidas (padrão: true)'),
+    limit: z.number().int().min(1).max(50).optional().describe('Máximo de mensagens a retornar (padrão: 20, máx: 50)')
+  },
+  async ({ unreadOnly, limit }) => {
+    const showUnreadOnly = unreadOnly !== false; // padrão true
+    const effectiveLimit = Math.min(limit || 20, 50);
+    const query = `?unread=${showUnreadOnly}&limit=${effectiveLimit}`;
+    const result = await brokerFetch(`/messages/${AGENT_ID}${query}`);
+
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+
+    if (result.messages.length === 0) {
+      return { content: [{ type: 'text', text: '📭 Nenhuma mensagem.' }] };
+    }
+
+    // Marca as mensagens lidas explicitamente (ACK)
+    const ids = result.messages.map(m => m.id).filter(Boolean);
+    if (ids.length > 0) {
+      const ackResult = await brokerPost(`/messages/${AGENT_ID}/ack`, { ids });
+      if (ackResult.error) {
+        process.stderr.write(`⚠️  ACK falhou: ${ackResult.error}\n`);
+      } else {
+        notifyResourceUpdated(INBOX_URI);
+      }
+    }
+
+    const format = m => {
+      const priorityLine = m.priority ? `\n⚡ Prioridade: ${PRIORITY_LABELS[m.priority] || m.priority}` : '';
+      const replyLine    = m.replyTo ? `\n↩️  Resposta a: ${m.replyTo}` : '';
+      const threadLine   = m.threadId ? `\n🧵 Thread: ${m.threadId}` : '';
+      const channelLine  = m.channel ? `\n📡 Canal: #${m.channel}` : '';
+      const scheduleLine = m.scheduleId ? `\n⏰ Agendada: ${m.scheduleId}` : '';
+      return `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n📨 De: ${m.fromName} (${m.from})\n🕐 ${m.timestamp}\n📎 Tipo: ${m.type}\n🔑 ID: ${m.id}${priorityLine}${replyLine}${threadLine}${channelLine}${scheduleLine}\n\n${m.content}${formatPayload(m.type, m.payload)}${formatAttachments(m.attachments)}`;
+    };
+
+    // O broker já entrega da maior prioridade para a menor; as urgentes ganham bloco próprio
+    const urgent   = result.messages.filter(m => m.priority === 'urgent');
+    const others   = result.messages.filter(m => m.priority !== 'urgent');
+    const sections = [];
+    if (urgent.length > 0) {
+      sections.push(`🚨 ${urgent.length} URGENTE(S) — trate antes de qualquer outra coisa:\n\n${urgent.map(format).join('\n\n')}`);
+    }
+    if (others.length > 0) {
+      sections.push(`${urgent.length > 0 ? '📨 Demais mensagens:\n\n' : ''}${others.map(format).join('\n\n')}`);
+    }
+
+    const hasMoreNote = result.hasMore ? '\n\n⚠️  Há mais mensagens — chame sp_read novamente para ver.' : '';
+
+    return {
+      content: [{
+        type: 'text',
+        text: `📬 ${result.messages.length} mensagem(ns)${result.hasMore ? ' — há mais' : ''}:\n\n${sections.join('\n\n')}${hasMoreNote}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tools: tipos de mensagem (payloads estruturados)
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_message_types',
+  'Lista os tipos de mensagem aceitos pelo broker — os embutidos e os customizados registrados pelos agentes — com o JSON Schema do payload de cada um. Informe name para ver só um tipo.',
+  {
+    name: messageType.optional().describe('Mostra só este tipo (ex: "endpoint")')
+  },
+  async ({ name }) => {
+    const result = await brokerFetch(name ? `/types/${encodeURIComponent(name)}` : '/types');
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+
+    const types = name ? [result] : result.types;
+    const lines = types.map(t => {
+      const origin = t.builtin ? 'embutido, payload opcional' : `customizado por ${t.registeredBy}, payload obrigatório`;
+      const header = `• ${t.name} (${origin})${t.description ? ` — ${t.description}` : ''}`;
+      return name ? `${header}\n${jsonBlock(t.schema)}` : header;
+    });
+    const hint = name ? '' : '\n\nUse sp_message_types com name para ver o schema de um tipo.';
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🧩 Tipos de mensagem (${types.length}):\n\n${lines.join('\n')}${hint}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'sp_register_type',
+  'Registra (ou atualiza, se foi você quem registrou) um tipo de mensagem customizado com o JSON Schema do payload. Mensagens desse tipo passam a exigir um payload válido — o broker rejeita as inválidas. Os tipos embutidos não podem ser redefinidos.',
+  {
+    name: messageType.describe('Nome do tipo (ex: "migration", "deploy.notice") — minúsculas, números, ".", "_" ou "-"'),
+    description: z.string().max(500).optional().describe('Para que serve o tipo'),
+    schema: z.record(z.string(), z.any()).describe('JSON Schema do payload (ex: { "type": "object", "properties": { ... }, "required": [...] }) — "pattern" e "patternProperties" não são aceitos')
+  },
+  async ({ name, description, schema }) => {
+    const result = await brokerPost('/types', { name, description, schema, registeredBy: AGENT_ID });
+    return {
+      content: [{
+        type: 'text',
+        text: result.error
+          ? `❌ Erro: ${result.error}`
+          : `🧩 Tipo "${name}" registrado — envie com sp_send type="${name}" e um payload que siga o schema.`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tools: arquivos (blobs anexados a mensagens)
+// Caminhos ficam presos ao diretório do projeto (process.cwd()) — nem ".."
+// nem symlinks saem dele. O conteúdo trafega cru (binário), e o sha256 é
+// conferido no upload (pelo broker) e no download (aqui).
+// ══════════════════════════════════════════════
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // igual ao limite de blob do broker
+
+const MIME_TYPES = {
+  '.json': 'application/json', '.yaml': 'application/yaml', '.yml': 'application/yaml',
+  '.md': 'text/markdown', '.txt': 'text/plain', '.csv': 'text/csv', '.sql': 'application/sql',
+  '.html': 'text/html', '.js': 'text/javascript', '.ts': 'text/plain',
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif',
+  '.svg': 'image/svg+xml', '.webp': 'image/webp', '.pdf': 'application/pdf', '.zip': 'application/zip'
+};
+
+function isInsideProject(fullPath) {
+  const root = realpathSync(process.cwd());
+  return fullPath === root || fullPath.startsWith(root + sep);
+}
+
+// Caminho real de um destino que pode não existir ainda: resolve os symlinks
+// do trecho existente (um symlink solto no caminho faz realpathSync falhar)
+function realTarget(target) {
+  const rest = [];
+  let existing = target;
+  while (!pathExists(existing)) {
+    rest.unshift(basename(existing));
+    existing = dirname(existing);
+  }
+  return join(realpathSync(existing), ...rest);
+}
+
+function pathExists(path) {
+  try {
+    lstatSync(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatAttachments(attachments) {
+  if (!attachments?.length) return '';
+  const lines = attachments.map(a => `  • ${a.name} (${formatBytes(a.size)}) — blobId: ${a.id}`);
+  return `\n📎 Anexos (baixe com sp_fetch_file):\n${lines.join('\n')}`;
+}
+
+server.tool(
+  'sp_send_file',
+  'Envia um arquivo do projeto (ex: spec OpenAPI, migration, screenshot) para outro agente como anexo de uma mensagem. O caminho é relativo ao diretório do projeto e não pode sair dele. Binários são aceitos; máximo 10 MB. O destinatário baixa com sp_fetch_file.',
+  {
+    to: z.string().describe('ID exato do agente destino'),
+    path: z.string().describe('Caminho do arquivo, relativo ao diretório do projeto (ex: "docs/openapi.yaml")'),
+    message: z.string().optional().describe('Texto da mensagem que acompanha o arquivo (padrão: o nome do arquivo)'),
+    type: messageType.optional(),
+    ttlSeconds: z.number().int().min(60).max(7 * 24 * 3600).optional().describe('Por quanto tempo o arquivo fica disponível no broker (padrão: 24h)')
+  },
+  async ({ to, path, message, type, ttlSeconds }) => {
+    let fullPath, data;
+    try {
+      fullPath = realpathSync(resolve(process.cwd(), path));
+      if (!isInsideProject(fullPath)) {
+        return { content: [{ type: 'text', text: `❌ "${path}" está fora do diretório do projeto.` }] };
+      }
+      const stat = statSync(fullPath);
+      if (!stat.isFile()) {
+        return { content: [{ type: 'text', text: `❌ "${path}" não é um arquivo.` }] };
+      }
+      if (stat.size > MAX_FILE_SIZE) {
+        return { content: [{ type: 'text', text: `❌ "${path}" tem ${formatBytes(stat.size)} — o limite é ${formatBytes(MAX_FILE_SIZE)}.` }] };
+      }
+      data = readFileSync(fullPath);
+    } catch (err) {
+      return { content: [{ type: 'text', text: `❌ Não foi possível ler "${path}": ${err.message}` }] };
+    }
+
+    const name   = basename(fullPath);
+    const params = new URLSearchParams({
+      uploadedBy: AGENT_ID,
+      name,
+      mimeType: MIME_TYPES[extname(name).toLowerCase()] || 'application/octet-stream',
+      sha256: createHash('sha256').update(data).digest('hex')
+    });
+    if (ttlSeconds) params.set('ttlSeconds', String(ttlSeconds));
+    const upload = await brokerFetch(`/blobs?${params}`, {
+      method: 'POST',
+      body: data,
+      headers: { 'Content-Type': 'application/octet-stream' }
+    });
+    if (upload.error) {
+      return { content: [{ type: 'text', text: `❌ Falha no upload: ${upload.error}` }] };
+    }
+
+    const result = await brokerPost('/messages/send', {
+      from: AGENT_ID,
+      to,
+      content: message || `📎 ${name}`,
+      type: type || 'text',
+      attachments: [upload.blob.id]
+    });
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ Arquivo enviado ao broker (blobId: ${upload.blob.id}), mas a mensagem falhou: ${result.error}` }] };
+    }
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ ${name} (${formatBytes(upload.blob.size)}) enviado para "${to}" (mensagem ${result.messageId})\n` +
+              `🔑 blobId: ${upload.blob.id} — disponível até ${upload.blob.expiresAt}` +
+              (result.pending ? `\n📪 "${to}" está offline — a mensagem fica na caixa postal até o agente voltar.` : '')
+      }]
+    };
+  }
+);
+
+server.tool(
+  'sp_fetch_file',
+  'Baixa um arquivo anexado a uma mensagem (pelo blobId mostrado em sp_read) e grava no projeto. O destino é relativo ao diretório do projeto e não pode sair dele; pastas intermediárias são criadas.',
+  {
+    blobId: z.string().regex(/^[a-f0-9]{64}$/).describe('blobId do anexo (sha256 do conteúdo)'),
+    path: z.string().optional().describe('Onde gravar, relativo ao projeto (padrão: o nome original, na raiz do projeto)'),
+    overwrite: z.boolean().optional().describe('Se true, substitui um arquivo existente (padrão: false)')
+  },
+  async ({ blobId, path, overwrite }) => {
+    const result = await brokerDownload(`/blobs/${blobId}`);
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+    if (createHash('sha256').update(result.data).digest('hex') !== blobId) {
+      return { content: [{ type: 'text', text: '❌ O conteúdo recebido não confere com o blobId (sha256) — arquivo não gravado.' }] };
+    }
+
+    const root   = realpathSync(process.cwd());
+    const target = resolve(root, path || basename(result.name || blobId));
+    const shown  = relative(root, target);
+    try {
+      if (!isInsideProject(realTarget(target))) {
+        return { content: [{ type: 'text', text: `❌ "${path}" está fora do diretório do projeto.` }] };
+      }
+      mkdirSync(dirname(target), { recursive: true });
+      writeFileSync(target, result.data, { flag: overwrite ? 'w' : 'wx' });
+    } catch (err) {
+      const reason = err.code === 'EEXIST' ? 'o arquivo já existe (use overwrite: true para substituir)' : err.message;
+      return { content: [{ type: 'text', text: `❌ Não foi possível gravar "${shown}": ${reason}` }] };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ ${formatBytes(result.data.length)} gravados em ${shown} (sha256 conferido)`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: status de entrega de mensagens enviadas
+// ══════════════════════════════════════════════
+
+const MESSAGE_STATE_LABELS = {
+  queued:    '⏳ na fila',
+  delivered: '📬 entregue',
+  read:      '✅ lida',
+  dropped:   '🗑️  descartada',
+  expired:   '⌛ expirada'
+};
+
+const MESSAGE_REASON_LABELS = {
+  queue_full:        'fila do destinatário cheia',
+  cleared:           'fila limpa pelo destinatário',
+  recipient_removed: 'destinatário saiu antes de ler',
+  mailbox_discarded: 'caixa postal do destinatário descartada antes da leitura'
+};
+
+server.tool(
+  'sp_message_status',
+  'Consulta o status de entrega de mensagens enviadas (IDs retornados por sp_send/sp_reply): na fila, entregue (o destinatário buscou), lida (ACK), descartada (fila cheia ou limpa) ou expirada (destinatário saiu antes de ler).',
+  {
+    messageIds: z.array(z.string()).min(1).max(100).describe('IDs das mensagens (ex: ["msg_1712345678901_abc123"])')
+  },
+  async ({ messageIds }) => {
+    const result = await brokerPost('/messages/status', { ids: messageIds });
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+
+    const lines = result.statuses.map(s => {
+      const reason = s.reason ? ` — ${MESSAGE_REASON_LABELS[s.reason] || s.reason}` : '';
+      const when   = s.readAt || s.deliveredAt || s.updatedAt;
+      return `• ${s.messageId} → ${s.to}: ${MESSAGE_STATE_LABELS[s.state] || s.state}${reason} (${when})`;
+    });
+    for (const id of result.notFound) lines.push(`• ${id}: ❓ desconhecida (ID inválido ou status já descartado)`);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `📮 Status de ${messageIds.length} mensagem(ns):\n\n${lines.join('\n')}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: dead-letter queue (mensagens enviadas que não chegaram)
+// ══════════════════════════════════════════════
+
+const DEAD_LETTER_REASON_LABELS = {
+  ...MESSAGE_REASON_LABELS,
+  unknown_recipient: 'destinatário não existe'
+};
+
+server.tool(
+  'sp_dead_letters',
+  'Lista as mensagens enviadas por este agente que nunca foram lidas: descartadas (fila cheia/limpa), expiradas (destinatário saiu) ou enviadas para um agentId inexistente. Com redeliverIds, devolve essas mensagens à fila do destinatário original (ou de "to", para corrigir um ID errado).',
+  {
+    redeliverIds: z.array(z.string()).min(1).max(100).optional().describe('IDs a reenviar em vez de listar'),
+    to: z.string().optional().describe('Novo destinatário para o reenvio (padrão: o original)'),
+    limit: z.number().int().min(1).max(100).optional().describe('Máximo de mensagens na listagem (padrão: 20)')
+  },
+  async ({ redeliverIds, to, limit }) => {
+    if (redeliverIds) {
+      const result = await brokerPost('/dead-letters/redeliver', { ids: redeliverIds, to });
+      if (result.error) {
+        return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+      }
+      const lines = [
+        ...result.redelivered.map(r => `• ${r.id} → ${r.to}: ♻️  reenviada`),
+        ...result.failed.map(f => `• ${f.id}: ❌ ${f.error}`)
+      ];
+      return {
+        content: [{
+          type: 'text',
+          text: `♻️  ${result.redelivered.length} de ${redeliverIds.length} mensagem(ns) reenviada(s):\n\n${lines.join('\n')}`
+        }]
+      };
+    }
+
+    const result = await brokerFetch(`/dead-letters?from=${encodeURIComponent(AGENT_ID)}&limit=${limit || 20}`);
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+    if (result.deadLetters.length === 0) {
+      return { content: [{ type: 'text', text: '✅ Nenhuma mensagem sua na dead-letter queue.' }] };
+    }
+
+    const lines = result.deadLetters.map(d => {
+      const preview = d.content.length > 80 ? d.content.slice(0, 80) + '...' : d.content;
+      return `• ${d.id} → ${d.to} — ${DEAD_LETTER_REASON_LABELS[d.reason] || d.reason} (${d.deadAt})\n  ${preview}`;
+    });
+    const hasMoreNote = result.hasMore ? `\n\n⚠️  Mostrando ${result.deadLetters.length} de ${result.total}.` : '';
+
+    return {
+      content: [{
+        type: 'text',
+        text: `📭 ${result.total} mensagem(ns) sua(s) não entregue(s):\n\n${lines.join('\n')}${hasMoreNote}\n\nUse redeliverIds para reenviar.`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: audit log do broker
+// ══════════════════════════════════════════════
+
+function formatAuditEntry(e) {
+  const target = e.to ? ` → ${e.to}` : '';
+  let detail = '';
+  if (e.event === 'message.send' || e.event === 'message.broadcast') {
+    const where   = e.channel ? ` #${e.channel}` : e.sentTo !== undefined ? ` (${e.sentTo} agente(s))` : '';
+    const preview = e.content.length > 120 ? e.content.slice(0, 120) + '...' : e.content;
+    detail = `${where} [${e.type}]: ${preview}`;
+  } else if (e.event === 'message.ack') {
+    detail = `: ${e.acked} mensagem(ns)`;
+  } else if (e.event === 'context.set') {
+    const preview = e.value.length > 120 ? e.value.slice(0, 120) + '...' : e.value;
+    detail = ` "${e.key}" v${e.version}: ${preview}`;
+  } else if (e.event === 'context.delete') {
+    detail = ` "${e.key}"`;
+  } else if (e.event === 'agent.evict') {
+    detail = e.kind === 'mailbox' ? ' (caixa postal vencida)' : ' (inatividade)';
+  }
+  return `• ${e.ts} ${e.event} — ${e.agent}${target}${detail}`;
+}
+
+server.tool(
+  'sp_audit',
+  'Consulta o audit log do broker: registros e saídas de agentes, mensagens enviadas, broadcasts, ACKs, escritas e remoções de contexto e remoções por inatividade. Útil para investigar quem alterou uma chave de contexto ou o que um agente disse a outro. Mais recentes primeiro.',
+  {
+    agent: z.string().optional().describe('Só eventos feitos por este agente ou destinados a ele'),
+    event: z.string().optional().describe('Tipo de evento, exato ou prefixo (ex: "context.set", "message")'),
+    key: z.string().optional().describe('Só eventos desta chave de contexto'),
+    since: z.string().optional().describe('Início do intervalo (ISO 8601)'),
+    until: z.string().optional().describe('Fim do intervalo (ISO 8601)'),
+    limit: z.number().int().min(1).max(200).optional().describe('Máximo de eventos (padrão: 30)')
+  },
+  async ({ agent, event, key, since, until, limit }) => {
+    const params = new URLSearchParams({ limit: String(limit || 30) });
+    for (const [name, value] of Object.entries({ agent, event, key, since, until })) {
+      if (value) params.set(name, value);
+    }
+    const result = await brokerFetch(`/audit?${params}`);
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+    if (result.entries.length === 0) {
+      return { content: [{ type: 'text', text: '📭 Nenhum evento encontrado no audit log.' }] };
+    }
+
+    const hasMoreNote = result.hasMore ? '\n\n⚠️  Há eventos mais antigos — use until ou refine os filtros.' : '';
+    return {
+      content: [{
+        type: 'text',
+        text: `📜 ${result.entries.length} evento(s):\n\n${result.entries.map(formatAuditEntry).join('\n')}${hasMoreNote}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: histórico completo de uma thread
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_thread',
+  'Recarrega o histórico completo de uma conversa (thread), com as mensagens dos dois lados em ordem cronológica — inclusive as já lidas ou limpas da fila. Use antes de responder numa negociação longa.',
+  {
+    threadId: z.string().describe('ID da thread (aparece como "🧵 Thread" no sp_read)'),
+    limit: z.number().int().min(1).max(500).optional().describe('Apenas as N mensagens mais recentes (padrão: todas)')
+  },
+  async ({ threadId, limit }) => {
+    const query  = limit ? `?limit=${limit}` : '';
+    const result = await brokerFetch(`/threads/${encodeURIComponent(threadId)}${query}`);
+
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+
+    const lines = result.messages.map(m =>
+      `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n📨 ${m.fromName} (${m.from}) → ${m.to}\n🕐 ${m.timestamp}\n📎 Tipo: ${m.type}\n🔑 ID: ${m.id}\n\n${m.content}${formatPayload(m.type, m.payload)}`
+    );
+    const olderNote = result.hasMore ? `\n\n⚠️  ${result.messageCount - result.messages.length} mensagem(ns) mais antiga(s) omitida(s).` : '';
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🧵 Thread "${threadId}" — participantes: ${result.participants.join(', ')} — ${result.messageCount} mensagem(ns)\n\n${lines.join('\n\n')}${olderNote}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: listar threads
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_list_threads',
+  'Lista as conversas (threads) com histórico no broker, das mais recentes para as mais antigas. Por padrão mostra só as threads das quais este agente participa.',
+  {
+    participant: z.string().optional().describe('Filtra por participante (padrão: este agente)')
+  },
+  async ({ participant }) => {
+    const result = await brokerFetch(`/threads?participant=${encodeURIComponent(participant || AGENT_ID)}`);
+
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+    if (result.threads.length === 0) {
+      return { content: [{ type: 'text', text: '📭 Nenhuma thread encontrada.' }] };
+    }
+
+    const lines = result.threads.map(t => {
+      const last = t.lastMessage ? `\n    último: ${t.lastMessage.fromName}: ${t.lastMessage.preview}` : '';
+      return `• "${t.threadId}" — ${t.participants.join(', ')} — ${t.messageCount} msg(s) — atualizada ${formatLastSeen(t.updatedAt)}${last}`;
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🧵 Threads (${result.threads.length}):\n\n${lines.join('\n')}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: salvar contexto compartilhado
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_set_context',
+  'Salva um dado compartilhado no broker (ex: schema, endpoints, config) para que outros agentes possam ler via sp_get_context. O valor é sempre string — para objetos, use JSON.stringify() antes de salvar e JSON.parse() ao ler. Para editar um valor que outros agentes também editam, passe expectedVersion (a versão lida com sp_get_context): se alguém gravou antes, a escrita é recusada em vez de sobrescrever.',
+  {
+    key: z.string().describe('Chave identificadora (ex: "api-endpoints", "db-schema", "env-vars")'),
+    value: z.string().describe('Conteúdo a ser compartilhado (string; para objetos use JSON.stringify)'),
+    expectedVersion: z.number().int().min(0).optional().describe('Só grava se a versão atual for esta (0 = a chave ainda não pode existir)'),
+    ttlSeconds: z.number().int().min(1).max(30 * 24 * 3600).optional().describe('Expira a chave após N segundos (padrão: nunca expira)'),
+    ephemeral: z.boolean().optional().describe('Se true, a chave é apagada quando este agente sair do broker')
+  },
+  async ({ key, value, expectedVersion, ttlSeconds, ephemeral }) => {
+    const result = await brokerPost('/context', {
+      key,
+      value,
+      setBy: AGENT_ID,
+      expectedVersion,
+      ttlSeconds,
+      ephemeral
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: result.status === 409
+          ? `⚠️  ${result.error}. Outro agente alterou "${key}" — releia com sp_get_context, combine as mudanças e tente de novo com a nova versão.`
+          : result.error
+            ? `❌ Erro: ${result.error}`
+            : `📦 Contexto "${key}" salvo com sucesso (versão ${result.version})${result.expiresAt ? ` — expira em ${result.expiresAt}` : ''}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: ler contexto compartilhado
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_get_context',
+  'Lê um dado compartilhado salvo por qualquer agente. Mostra a versão atual — use-a como expectedVersion em sp_set_context para evitar sobrescrever edições concorrentes.',
+  {
+    key: z.string().describe('Chave do contexto a ler (ex: "api-endpoints")'),
+    version: z.number().int().min(1).optional().describe('Lê uma revisão anterior específica (veja sp_context_history)')
+  },
+  async ({ key, version }) => {
+    const query  = version ? `?version=${version}` : '';
+    const result = await brokerFetch(`/context/${encodeURIComponent(key)}${query}`);
+
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `📦 Contexto: ${key}\nVersão: ${result.version}\nSalvo por: ${result.setByName || result.setBy}\nAtualizado: ${result.timestamp}\n\n${result.value}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: histórico de revisões de um contexto
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_context_history',
+  'Lista as últimas revisões de uma chave de contexto (quem gravou, quando e um trecho do valor). Use sp_get_context com version para ler uma revisão completa.',
+  {
+    key: z.string().describe('Chave do contexto (ex: "api-endpoints")')
+  },
+  async ({ key }) => {
+    const result = await brokerFetch(`/context/${encodeURIComponent(key)}/history`);
+
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+
+    const lines = result.revisions.map(r => {
+      const text    = typeof r.value === 'string' ? r.value : JSON.stringify(r.value);
+      const preview = text.length > 120 ? text.slice(0, 120) + '...' : text;
+      return `• v${r.version} — por ${r.setByName || r.setBy} em ${r.timestamp}\n    ${preview.replace(/\n/g, ' ')}`;
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🕘 Histórico de "${key}" (versão atual: ${result.currentVersion}, ${result.revisions.length} revisão(ões) guardada(s)):\n\n${lines.join('\n')}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: listar todos os contextos
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_list_contexts',
+  'Lista as chaves de contexto compartilhado, em ordem alfabética. Use prefix para ver só um namespace (ex: "api/") e limit/offset para paginar quando houver muitas chaves.',
+  {
+    prefix: z.string().optional().describe('Só chaves que começam com este prefixo (ex: "api/", "front-")'),
+    limit: z.number().int().min(1).max(500).optional().describe('Máximo de chaves a retornar (padrão: 100)'),
+    offset: z.number().int().min(0).optional().describe('Quantas chaves pular — para ver a próxima página')
+  },
+  async ({ prefix, limit, offset }) => {
+    const params = new URLSearchParams({ limit: String(limit || 100), offset: String(offset || 0) });
+    if (prefix) params.set('prefix', prefix);
+    const result = await brokerFetch(`/context?${params}`);
+
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+
+    if (!result.contexts) {
+      return { content: [{ type: 'text', text: '⚠️  Resposta inesperada do broker' }] };
+    }
+    if (result.contexts.length === 0) {
+      return { content: [{ type: 'text', text: '📭 Nenhum contexto compartilhado.' }] };
+    }
+
+    const lines = result.contexts.map(c => {
+      const expiry    = c.expiresAt ? ` — expira em ${c.expiresAt}` : '';
+      const ephemeral = c.ephemeral ? ' — efêmera' : '';
+      return `• "${c.key}" (v${c.version}) — por ${c.setBy} em ${c.timestamp}${expiry}${ephemeral}`;
+    });
+
+    const start       = (offset || 0) + 1;
+    const range       = `${start}–${start + result.contexts.length - 1} de ${result.total}`;
+    const hasMoreNote = result.hasMore
+      ? `\n\n⚠️  Há mais chaves — chame sp_list_contexts com offset=${start - 1 + result.contexts.length}.`
+      : '';
+
+    return {
+      content: [{
+        type: 'text',
+        text: `📦 Contextos compartilhados (${range}):\n\n${lines.join('\n')}${hasMoreNote}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: busca full-text em mensagens e contexto
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_search',
+  'Busca no broker por texto em mensagens (inclusive já lidas) e em valores de contexto compartilhado. Retorna IDs de mensagem / chaves de contexto com um trecho, os mais relevantes primeiro. Prefira isto a paginar sp_read ou sp_list_contexts atrás de um assunto.',
+  {
+    query: z.string().min(1).max(200).describe('Termos a buscar (ex: "refresh token"); todos precisam aparecer'),
+    from: z.string().optional().describe('Só mensagens deste remetente / contextos gravados por este agente'),
+    type: messageType.optional().describe('Só mensagens deste tipo'),
+    since: z.string().optional().describe('Só a partir desta data (ISO 8601)'),
+    scope: z.enum(['messages', 'context']).optional().describe('Buscar só em mensagens ou só em contexto (padrão: ambos)'),
+    limit: z.number().int().min(1).max(50).optional().describe('Máximo de resultados (padrão: 10)')
+  },
+  async ({ query, from, type, since, scope, limit }) => {
+    const params = new URLSearchParams({ q: query, limit: String(limit || 10) });
+    for (const [name, value] of Object.entries({ from, type, since, scope })) {
+      if (value) params.set(name, value);
+    }
+    const result = await brokerFetch(`/search?${params}`);
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+    if (result.results.length === 0) {
+      return { content: [{ type: 'text', text: `🔍 Nada encontrado para "${query}".` }] };
+    }
+
+    const lines = result.results.map(r => {
+      const header = r.kind === 'context'
+        ? `📦 contexto "${r.key}" (v${r.version}) — por ${r.setBy} em ${r.timestamp}`
+        : `💬 ${r.id} — ${r.fromName} → ${r.to}${r.channel ? ` #${r.channel}` : ''} [${r.type}] em ${r.timestamp}`;
+      return `• ${header}\n  ${r.snippet}`;
+    });
+    const hasMoreNote = result.hasMore ? `\n\n⚠️  Mostrando ${result.results.length} de ${result.total} — refine a busca ou aumente limit.` : '';
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🔍 ${result.total} resultado(s) para "${query}":\n\n${lines.join('\n')}${hasMoreNote}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tools: locks / leases de coordenação
+// ══════════════════════════════════════════════
+
+const lockName = z.string().regex(/^[\w./-]{1,128}$/)
+  .describe('Nome do recurso a travar (ex: "migrations", "package.json", "deploy/staging")');
+
+server.tool(
+  'sp_lock',
+  'Reserva um recurso compartilhado (ex: "migrations", "package.json") ANTES de mexer nele, para que outros agentes não façam o mesmo ao mesmo tempo. O lock expira após ttlSeconds se não for renovado — chame sp_lock de novo para renovar uma tarefa longa, e sp_unlock ao terminar. Se estiver ocupado, wait=true entra na fila e o lock é entregue automaticamente (você recebe uma mensagem).',
+  {
+    name: lockName,
+    ttlSeconds: z.number().int().min(1).max(3600).optional().describe('Duração do lease em segundos (padrão: 300, máx: 3600)'),
+    wait: z.boolean().optional().describe('Se ocupado, entra na fila de espera (padrão: false)')
+  },
+  async ({ name, ttlSeconds, wait }) => {
+    const result = await brokerPost(`/locks/${encodeURIComponent(name)}/acquire`, {
+      agentId: AGENT_ID,
+      ttlSeconds,
+      wait
+    });
+
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ Erro: ${result.error}` }] };
+    }
+
+    const { lock } = result;
+    let text;
+    if (result.acquired) {
+      text = `🔒 Lock "${name}" é seu até ${lock.expiresAt}. Libere com sp_unlock ao terminar.`;
+    } else if (result.queuePosition) {
+      text = `⏳ Lock "${name}" está com ${lock.holderName} (${lock.holder}) até ${lock.expiresAt}. Você é o ${result.queuePosition}º da fila — será avisado por mensagem quando for sua vez.`;
+    } else {
+      text = `⛔ Lock "${name}" está com ${lock.holderName} (${lock.holder}) até ${lock.expiresAt}. Não mexa no recurso agora — tente mais tarde ou use wait=true para entrar na fila.`;
+    }
+    return { content: [{ type: 'text', text }] };
+  }
+);
+
+server.tool(
+  'sp_unlock',
+  'Libera um lock adquirido com sp_lock (ou sai da fila de espera dele). O próximo da fila, se houver, recebe o lock automaticamente.',
+  { name: lockName },
+  async ({ name }) => {
+    const result = await brokerPost(`/locks/${encodeURIComponent(name)}/release`, { agentId: AGENT_ID });
+    return {
+      content: [{
+        type: 'text',
+        text: result.error
+          ? `❌ Erro: ${result.error}`
+          : result.released
+            ? `🔓 Lock "${name}" liberado`
+            : result.leftQueue
+              ? `🚶 Você saiu da fila do lock "${name}"`
+              : `⚠️  Lock "${name}" não estava ativo`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'sp_list_locks',
+  'Lista os locks ativos: quem detém cada um, até quando, e quem está na fila',
+  {},
+  async () => {
+    const result = await brokerFetch('/locks');
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+    if (result.locks.length === 0) {
+      return { content: [{ type: 'text', text: '🔓 Nenhum lock ativo.' }] };
+    }
+
+    const lines = result.locks.map(l => {
+      const mine  = l.holder === AGENT_ID ? ' (você)' : '';
+      const queue = l.waiters.length > 0 ? ` — fila: ${l.waiters.join(', ')}` : '';
+      return `• "${l.name}" — ${l.holderName} (${l.holder})${mine} até ${l.expiresAt}${queue}`;
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🔒 Locks ativos (${result.locks.length}):\n\n${lines.join('\n')}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tools: fila de tarefas
+// ══════════════════════════════════════════════
+
+const TASK_STATUS_LABELS = {
+  open: '🟡 aberta',
+  claimed: '🔵 pega',
+  in_progress: '🔵 em andamento',
+  done: '✅ concluída',
+  failed: '❌ falhou'
+};
+
+function formatTask(t) {
+  const owner      = t.claimedBy ? ` — com ${t.claimedByName} (${t.claimedBy})` : '';
+  const capability = t.capability ? ` — requer: ${t.capability}` : '';
+  const lastNote   = t.progress.length > 0 ? `\n    último progresso: ${t.progress[t.progress.length - 1].note}` : '';
+  return `• [${t.priority}] ${t.title} (${t.id}) — ${TASK_STATUS_LABELS[t.status] || t.status}${owner}${capability}${lastNote}`;
+}
+
+server.tool(
+  'sp_task_create',
+  'Cria uma tarefa na fila de trabalho compartilhada para que qualquer agente capaz a pegue (em vez de perguntar "quem pode fazer X?" por broadcast). Você é avisado por mensagem quando ela for concluída ou falhar.',
+  {
+    title: z.string().max(200).describe('Título curto da tarefa (ex: "Gerar tipos TS do schema de users")'),
+    description: z.string().optional().describe('Detalhes, critérios de aceite, links para contextos'),
+    capability: z.string().max(64).optional().describe('Capacidade exigida de quem pegar (ex: "database", "frontend") — omita para qualquer agente'),
+    priority: z.enum(['low', 'normal', 'high', 'urgent']).optional().describe('Prioridade (padrão: "normal")')
+  },
+  async ({ title, description, capability, priority }) => {
+    const result = await brokerPost('/tasks', {
+      createdBy: AGENT_ID,
+      title,
+      description,
+      capability,
+      priority
+    });
+    return {
+      content: [{
+        type: 'text',
+        text: result.error
+          ? `❌ Erro: ${result.error}`
+          : `📋 Tarefa criada (ID: ${result.task.id}) — prioridade ${result.task.priority}${result.task.capability ? `, requer ${result.task.capability}` : ''}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'sp_task_claim_next',
+  'Pega a próxima tarefa aberta de maior prioridade que este agente pode fazer. O claim é atômico: a tarefa passa a ser só sua. Reporte com sp_task_update (progress, complete ou fail).',
+  {
+    capabilities: z.array(z.string()).optional().describe('Capacidades a considerar (ex: ["database", "backend"]) — padrão: as declaradas no perfil deste agente')
+  },
+  async ({ capabilities }) => {
+    const result = await brokerPost('/tasks/claim-next', {
+      agentId: AGENT_ID,
+      capabilities
+    });
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ Erro: ${result.error}` }] };
+    }
+    if (!result.task) {
+      return { content: [{ type: 'text', text: '📭 Nenhuma tarefa aberta compatível.' }] };
+    }
+
+    const t = result.task;
+    return {
+      content: [{
+        type: 'text',
+        text: `📋 Tarefa pega: ${t.title}\n🔑 ID: ${t.id}\n⚡ Prioridade: ${t.priority}\n👤 Criada por: ${t.createdByName} (${t.createdBy})${t.attempts > 1 ? `\n♻️  Tentativa ${t.attempts}` : ''}\n\n${t.description || '(sem descrição)'}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'sp_task_update',
+  'Atualiza uma tarefa que você pegou: "progress" registra andamento, "complete" finaliza com resultado, "fail" marca como falha, "requeue" devolve para a fila para outro agente pegar.',
+  {
+    taskId: z.string().describe('ID da tarefa (ex: "task_1712345678901_abc123")'),
+    action: z.enum(['progress', 'complete', 'fail', 'requeue']).describe('Transição a aplicar'),
+    note: z.string().optional().describe('progress: o que foi feito | complete: resultado | fail/requeue: motivo (obrigatório exceto em complete)'),
+    percent: z.number().min(0).max(100).optional().describe('Percentual concluído (apenas progress)')
+  },
+  async ({ taskId, action, note, percent }) => {
+    const id = encodeURIComponent(taskId);
+    let result;
+    if (action === 'progress') {
+      result = await brokerPost(`/tasks/${id}/progress`, { agentId: AGENT_ID, note, percent });
+    } else if (action === 'complete') {
+      result = await brokerPost(`/tasks/${id}/complete`, { agentId: AGENT_ID, result: note });
+    } else {
+      result = await brokerPost(`/tasks/${id}/fail`, { agentId: AGENT_ID, error: note, requeue: action === 'requeue' });
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: result.error
+          ? `❌ Erro: ${result.error}`
+          : `📋 Tarefa ${taskId}: ${TASK_STATUS_LABELS[result.task.status] || result.task.status}`
+      }]
+    };
+  }
+);
+
+server.tool(
+  'sp_task_list',
+  'Lista tarefas da fila de trabalho, por prioridade. Filtre por status, capability, ou use mine=true para ver as que você pegou.',
+  {
+    status: z.enum(['open', 'claimed', 'in_progress', 'done', 'failed']).optional().describe('Filtra por status'),
+    capability: z.string().optional().describe('Filtra pela capacidade exigida'),
+    mine: z.boolean().optional().describe('Se true, só tarefas pegas por este agente')
+  },
+  async ({ status, capability, mine }) => {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    if (capability) params.set('capability', capability);
+    if (mine) params.set('claimedBy', AGENT_ID);
+    const result = await brokerFetch(`/tasks?${params}`);
+
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+    if (result.tasks.length === 0) {
+      return { content: [{ type: 'text', text: '📭 Nenhuma tarefa encontrada.' }] };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `📋 Tarefas (${result.tasks.length}):\n\n${result.tasks.map(formatTask).join('\n')}`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: limpar mensagens recebidas
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_clear',
+  'Limpa todas as mensagens recebidas (lidas e não lidas)',
+  {},
+  async () => {
+    const result = await brokerFetch(`/messages/${AGENT_ID}`, { method: 'DELETE' });
+    if (!result.error) notifyResourceUpdated(INBOX_URI);
+    return {
+      content: [{
+        type: 'text',
+        text: result.error
+          ? `❌ Erro: ${result.error}`
+          : `🗑️ ${result.cleared} mensagem(ns) removida(s)`
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Tool: status geral do broker
+// ══════════════════════════════════════════════
+
+server.tool(
+  'sp_status',
+  'Mostra o status geral do broker: agentes conectados, mensagens pendentes, etc.',
+  {},
+  async () => {
+    const result = await brokerFetch('/status');
+
+    if (result.error) {
+      return { content: [{ type: 'text', text: `❌ ${result.error}` }] };
+    }
+
+    const agentLines = (result.agents || []).map(a =>
+      `  • ${a.name} (${a.agentId}) — ${formatAgentStatus(a)} — ${a.project} — ${a.unreadMessages} msgs não lidas`
+    );
+
+    return {
+      content: [{
+        type: 'text',
+        text: [
+          `🏠 Skvil-Piertotum Broker`,
+          `Uptime: ${formatUptime(result.uptime)}`,
+          `Agentes: ${result.totalAgents}`,
+          `Contextos compartilhados: ${result.totalContextKeys}`,
+          '',
+          agentLines.length > 0 ? agentLines.join('\n') : '  Nenhum agente conectado'
+        ].join('\n')
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Resources: contexto compartilhado e caixa de entrada
+// Cada chave de contexto é um resource (piertotum://context/<chave>) e a
+// caixa de entrada é piertotum://inbox. Ler um resource não marca nada como
+// lido. O cliente é avisado (list_changed / updated) a partir dos eventos
+// "context" e "message" do stream — sem stream aberto, só lendo de novo.
+// ══════════════════════════════════════════════
+
+const INBOX_URI = 'piertotum://inbox';
+
+function contextUri(key) {
+  return `piertotum://context/${encodeURIComponent(key)}`;
+}
+
+// URIs assinadas pelo cliente via resources/subscribe
+const resourceSubscriptions = new Set();
+
+server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.add(request.params.uri);
+  return {};
+});
+
+server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.delete(request.params.uri);
+  return {};
+});
+
+function notifyResourceUpdated(uri) {
+  if (!server.isConnected() || !resourceSubscriptions.has(uri)) return;
+  server.server.sendResourceUpdated({ uri }).catch(() => {});
+}
+
+// Reconexão do stream: o que mudou enquanto ele esteve fora não gerou evento
+function notifyAllResourcesChanged() {
+  server.sendResourceListChanged();
+  for (const uri of resourceSubscriptions) notifyResourceUpdated(uri);
+}
+
+async function listAllContexts() {
+  const contexts = [];
+  for (let offset = 0; ; offset += 200) {
+    const page = await brokerFetch(`/context?limit=200&offset=${offset}`);
+    if (page.error) throw new Error(page.error);
+    contexts.push(...page.contexts);
+    if (!page.hasMore) return contexts;
+  }
+}
+
+server.resource(
+  'context',
+  new ResourceTemplate('piertotum://context/{key}', {
+    list: async () => ({
+      resources: (await listAllContexts()).map(c => ({
+        uri: contextUri(c.key),
+        name: c.key,
+        description: `v${c.version} — salvo por ${c.setBy} em ${c.timestamp}${c.expiresAt ? `, expira em ${c.expiresAt}` : ''}`
+      }))
+    })
+  }),
+  { description: 'Dado compartilhado no broker (o mesmo que sp_get_context devolve)' },
+  async (uri, { key }) => {
+    const result = await brokerFetch(`/context/${encodeURIComponent(decodeURIComponent(key))}`);
+    if (result.error) throw new Error(result.error);
+    const isText = typeof result.value === 'string';
+    return {
+      contents: [{
+        uri: uri.href,
+        mimeType: isText ? 'text/plain' : 'application/json',
+        text: isText ? result.value : JSON.stringify(result.value, null, 2)
+      }]
+    };
+  }
+);
+
+server.resource(
+  'inbox',
+  INBOX_URI,
+  { description: 'Mensagens não lidas deste agente, urgentes primeiro (ler o resource não faz ACK — use sp_read para isso)', mimeType: 'application/json' },
+  async (uri) => {
+    const result = await brokerFetch(`/messages/${AGENT_ID}?unread=true&limit=50`);
+    if (result.error) throw new Error(result.error);
+    return {
+      contents: [{
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: JSON.stringify({ agentId: AGENT_ID, unread: result.messages.length, hasMore: result.hasMore, messages: result.messages }, null, 2)
+      }]
+    };
+  }
+);
+
+// ══════════════════════════════════════════════
+// Prompts: fluxos prontos sobre as rotas do broker
+// ══════════════════════════════════════════════
+
+function promptText(text) {
+  return { messages: [{ role: 'user', content: { type: 'text', text } }] };
+}
+
+server.prompt(
+  'summarize-inbox',
+  'Resume as mensagens não lidas (urgentes primeiro) e sugere o que responder — sem marcá-las como lidas',
+  {},
+  async () => {
+    const result = await brokerFetch(`/messages/${AGENT_ID}?unread=true&limit=50`);
+    if (result.error) throw new Error(result.error);
+    if (result.messages.length === 0) {
+      return promptText('Não há mensagens não lidas na caixa de entrada do Skvil-Piertotum. Diga isso em uma linha.');
+    }
+    const lines = result.messages.map(m =>
+      `- [${m.id}] ${m.fromName} (${m.from}), ${m.timestamp}, tipo ${m.type}` +
+      `${m.priority ? `, prioridade ${m.priority}` : ''}${m.threadId ? `, thread ${m.threadId}` : ''}:\n  ${m.content.replace(/\n/g, '\n  ')}` +
+      `${m.payload !== undefined ? `\n  payload: ${JSON.stringify(m.payload)}` : ''}`
+    );
+    return promptText(
+      `Estas são as ${result.messages.length} mensagem(ns) não lida(s) do agente "${AGENT_ID}"${result.hasMore ? ' (há mais na fila)' : ''}:\n\n` +
+      `${lines.join('\n')}\n\n` +
+      'Resuma em tópicos curtos, agrupando por remetente ou thread e começando pelas urgentes. ' +
+      'Aponte o que exige resposta ou ação minha e sugira o que responder (com o ID da mensagem, para sp_reply). ' +
+      'Quando eu terminar, use sp_read para marcá-las como lidas.'
+    );
+  }
+);
+
+server.prompt(
+  'handoff-task',
+  'Passa uma tarefa em andamento para outro agente com tudo que ele precisa para continuar',
+  {
+    agent: z.string().describe('ID do agente que vai assumir (ex: "front")'),
+    task: z.string().describe('O que precisa ser feito'),
+    contextKeys: z.string().optional().describe('Chaves de contexto relevantes, separadas por vírgula (ex: "db-schema,api-endpoints")')
+  },
+  async ({ agent, task, contextKeys }) => {
+    const result = await brokerFetch('/agents');
+    if (result.error) throw new Error(result.error);
+    const target = result.agents.find(a => a.agentId === agent);
+    const profile = target
+      ? `"${agent}" (${target.name}) está ${target.status || 'online'}${target.statusNote ? ` — ${target.statusNote}` : ''}. ` +
+        `Capacidades: ${target.capabilities?.join(', ') || 'não informadas'}.${target.description ? ` ${target.description}.` : ''}`
+      : `O agente "${agent}" não está registrado no broker agora — a mensagem ficará na caixa postal dele, se ele tiver uma; confira com sp_list_agents.`;
+    const keys = (contextKeys || '').split(',').map(k => k.trim()).filter(Boolean);
+
+    return {
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text:
+              `Quero passar esta tarefa para o agente "${agent}": ${task}\n\n${profile}\n\n` +
+              'Escreva a passagem de bastão e envie com sp_send para esse agente, com threadId para a conversa continuar no mesmo fio. Inclua: ' +
+              'o objetivo e o critério de pronto; o que já foi feito e o que falta; decisões tomadas e por quê; arquivos, endpoints e chaves de contexto relevantes; riscos e perguntas em aberto. ' +
+              'Se o trabalho puder ser pego por qualquer agente com a capacidade certa, prefira sp_task_create. ' +
+              'Depois acompanhe com sp_message_status e avise quando ele confirmar.'
+          }
+        },
+        ...keys.map(key => ({
+          role: 'user',
+          content: { type: 'resource_link', uri: contextUri(key), name: key, description: 'Contexto compartilhado relevante para a tarefa' }
+        }))
+      ]
+    };
+  }
+);
+
+server.prompt(
+  'context-brief',
+  'Lê o contexto compartilhado (opcionalmente só um prefixo) e resume o que os outros agentes já definiram',
+  {
+    prefix: z.string().optional().describe('Só chaves com este prefixo (ex: "api-")')
+  },
+  async ({ prefix }) => {
+    const result = await brokerFetch(`/context?limit=50${prefix ? `&prefix=${encodeURIComponent(prefix)}` : ''}`);
+    if (result.error) throw new Error(result.error);
+    if (result.contexts.length === 0) {
+      return promptText(`Não há contexto compartilhado${prefix ? ` com o prefixo "${prefix}"` : ''} no broker. Diga isso em uma linha.`);
+    }
+    const entries = await Promise.all(result.contexts.map(c => brokerFetch(`/context/${encodeURIComponent(c.key)}`)));
+    const sections = result.contexts.map((c, i) => {
+      const value = entries[i].error ? `(erro ao ler: ${entries[i].error})`
+        : typeof entries[i].value === 'string' ? entries[i].value : JSON.stringify(entries[i].value, null, 2);
+      return `### ${c.key} (v${c.version}, por ${c.setBy} em ${c.timestamp})\n${value}`;
+    });
+    return promptText(
+      `Contexto compartilhado no broker${prefix ? ` (prefixo "${prefix}")` : ''}${result.hasMore ? ` — ${result.contexts.length} de ${result.total} chaves` : ''}:\n\n` +
+      `${sections.join('\n\n')}\n\n` +
+      'Resuma o que cada chave define e aponte contradições entre elas ou com o código deste projeto. ' +
+      'Se algo aqui estiver desatualizado em relação ao que eu sei, sugira a correção com sp_set_context (usando expectedVersion).'
+    );
+  }
+);
+
+// ══════════════════════════════════════════════
+// Stream de eventos (SSE) — push de mensagens em tempo real
+// Mantém GET /agents/:id/stream aberto; enquanto conectado, o stream
+// substitui o heartbeat HTTP e cada evento vira uma notificação MCP.
+// ══════════════════════════════════════════════
+
+let streamConnected = false;
+let streamEpoch     = 0; // incrementado a cada conexão do stream (waitForReply reconsulta a fila)
+
+function parseSseFrame(frame) {
+  let event = 'message';
+  const data = [];
+  for (const line of frame.split('\n')) {
+    if (line.startsWith(':')) continue; // comentário (keepalive)
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+  }
+  if (data.length === 0) return null;
+  try {
+    return { event, data: JSON.parse(data.join('\n')) };
+  } catch {
+    return null;
+  }
+}
+
+function handleStreamEvent({ event, data }) {
+  switch (event) {
+    case 'hello':
+      if (data.unread > 0) notify('info', `📬 ${data.unread} mensagem(ns) não lida(s) — use sp_read para ler.`);
+      notifyAllResourcesChanged();
+      break;
+    case 'message':
+      notifyResourceUpdated(INBOX_URI);
+      if (data.correlationId && replyWaiters.has(data.correlationId)) {
+        // Resposta aguardada por um sp_request em andamento — ele mesmo a entrega
+        replyWaiters.get(data.correlationId)();
+        break;
+      }
+      if (data.priority === 'urgent') {
+        notify('warning', `🚨 Mensagem URGENTE de ${data.fromName} (${data.from}) — ID: ${data.id}. Interrompa e use sp_read agora.`);
+        break;
+      }
+      notify('info', `📨 Nova mensagem de ${data.fromName} (${data.from})${data.channel ? ` em #${data.channel}` : ''} — tipo: ${data.type}, ID: ${data.id}${data.attachments ? `, ${data.attachments.length} anexo(s)` : ''}. Use sp_read para ler.`);
+      break;
+    case 'ack':
+      notify('debug', `✔️  Mensagem ${data.messageId} lida por "${data.by}"`);
+      break;
+    case 'status':
+      // "read" já chega pelo evento ack
+      if (data.state === 'dropped' || data.state === 'expired') {
+        notify('warning', `⚠️  Mensagem ${data.messageId} para "${data.to}" ${data.state === 'dropped' ? 'descartada' : 'expirou'} sem ser lida (${MESSAGE_REASON_LABELS[data.reason] || data.reason})`);
+      }
+      break;
+    case 'context':
+      if (data.created || data.state === 'deleted') server.sendResourceListChanged();
+      notifyResourceUpdated(contextUri(data.key));
+      break;
+    case 'lock':
+      notify('info', `🔒 Lock "${data.name}" concedido a este agente (estava na fila) — válido até ${data.expiresAt}`);
+      break;
+    case 'presence':
+      notify('info', {
+        online:  `🟢 ${data.name} (${data.agentId}) entrou — projeto: ${data.project}`,
+        offline: `🔴 ${data.name} (${data.agentId}) saiu`,
+        status:  `🔄 ${data.name} (${data.agentId}) agora está ${data.status}${data.note ? ` — ${data.note}` : ''}`
+      }[data.state]);
+      break;
+  }
+}
+
+// Consome o stream até ele cair; retorna { error, status? } com o motivo
+async function consumeStream(signal) {
+  let res;
+  try {
+    res = await fetch(`${BROKER_URL}/agents/${AGENT_ID}/stream`, {
+      headers: { Accept: 'text/event-stream', ...authHeaders() },
+      signal
+    });
+  } catch (err) {
+    return { error: `Falha ao conectar ao broker: ${err.message}` };
+  }
+  if (!res.ok) {
+    let body;
+    try { body = await res.json(); } catch { body = {}; }
+    return { error: body.error || `HTTP ${res.status} ${res.statusText}`, status: res.status };
+  }
+
+  streamConnected = true;
+  streamEpoch++;
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let sep;
+      while ((sep = buffer.indexOf('\n\n')) !== -1) {
+        const parsed = parseSseFrame(buffer.slice(0, sep));
+        buffer = buffer.slice(sep + 2);
+        if (parsed) handleStreamEvent(parsed);
+      }
+    }
+    return { error: 'stream encerrado pelo broker' };
+  } catch (err) {
+    return { error: err.message };
+  } finally {
+    streamConnected = false;
+  }
+}
+
+// Reconecta com backoff exponencial até o signal ser abortado (shutdown)
+async function runStream(signal) {
+  let delay = 1000;
+  while (!signal.aborted) {
+    const startedAt = Date.now();
+    const result = await consumeStream(signal);
+    if (signal.aborted) return;
+
+    if (result.status === 404 || result.status === 401) {
+      process.stderr.write(`⚠️  Stream: agente não reconhecido pelo broker, re-registrando...\n`);
+      const reg = await register();
+      if (reg.error) process.stderr.write(`⚠️  Re-registro falhou: ${reg.error}\n`);
+    } else {
+      process.stderr.write(`⚠️  Stream de eventos caiu: ${result.error} — reconectando em ${delay / 1000}s\n`);
+    }
+
+    // Conexão que durou mais de 1 min não conta como falha consecutiva
+    if (Date.now() - startedAt > 60_000) delay = 1000;
+    await sleep(delay, undefined, { signal }).catch(() => {});
+    delay = Math.min(delay * 2, STREAM_RETRY_MAX_MS);
+  }
+}
+
+// ══════════════════════════════════════════════
+// Deregistro gracioso ao encerrar
+// ══════════════════════════════════════════════
+
+async function deregister() {
+  try {
+    await fetch(`${BROKER_URL}/agents/${AGENT_ID}`, {
+      method: 'DELETE',
+      headers: authHeaders(),
+      signal: AbortSignal.timeout(3000)
+    });
+  } catch {
     // Ignorar — broker pode já estar offline
   }
 }
@@ -494,11 +2233,14 @@ async function main() {
     process.stderr.write(`   As ferramentas sp_* vão falhar até o broker estar acessível.\n`);
   }
 
-  // Heartbeat a cada 30s — re-registra automaticamente se o broker reiniciar
+  // Heartbeat a cada 30s — re-registra automaticamente se o broker reiniciar.
+  // Dispensado enquanto o stream SSE estiver aberto (o broker já sabe que estamos vivos).
   const heartbeatTimer = setInterval(async () => {
+    if (streamConnected) return;
     const hb = await brokerFetch(`/agents/${AGENT_ID}/heartbeat`, { method: 'POST' });
     if (hb.error) {
-      const notRegistered = hb.error.includes('HTTP 404');
+      // 404: agente desconhecido | 401: token não reconhecido — ambos indicam estado perdido
+      const notRegistered = hb.status === 404 || hb.status === 401;
       if (notRegistered) {
         // Broker reiniciou e perdeu o estado — re-registrar automaticamente
         process.stderr.write(`⚠️  Heartbeat: agente não reconhecido pelo broker, re-registrando...\n`);
@@ -514,14 +2256,16 @@ async function main() {
     }
   }, 30000);
 
+  const streamController = new AbortController();
+
   // Shutdown gracioso
   let shuttingDown = false;
   const shutdown = async () => {
     if (shuttingDown) return;
     shuttingDown = true;
     clearInterval(heartbeatTimer);
+    streamController.abort();
 
-    await setStatus('offline');
     await deregister();
     process.exit(0);
   };
@@ -532,6 +2276,9 @@ async function main() {
   // Inicia o transporte stdio para MCP
   const transport = new StdioServerTransport();
   await server.connect(transport);
+
+  // Push de eventos só depois do transporte MCP estar pronto para notificar
+  runStream(streamController.signal);
 }
 
 main().catch(err => {
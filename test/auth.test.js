@@ -0,0 +1,82 @@
+// Autenticação: 401 sem token ou com token errado, 403/409 quando o token
+// é válido mas não dá direito à operação
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBroker } from './helpers.js';
+
+const SHARED    = 'segredo-compartilhado';
+const DASHBOARD = 'token-do-dashboard';
+
+describe('autenticação', () => {
+  let broker;
+  const tokens = {};
+
+  before(async () => {
+    broker = await startBroker({ BROKER_TOKEN: SHARED, BROKER_DASHBOARD_TOKEN: DASHBOARD });
+    for (const agentId of ['alpha', 'beta']) {
+      const res = await broker.request('POST', '/agents/register', { token: SHARED, body: { agentId, name: agentId } });
+      assert.equal(res.status, 200);
+      tokens[agentId] = res.body.token;
+    }
+  });
+
+  after(() => broker?.stop());
+
+  test('401 sem token, com token desconhecido ou com o segredo fora do registro', async () => {
+    for (const token of [undefined, 'errado', SHARED, DASHBOARD]) {
+      const res = await broker.request('GET', '/agents', { token });
+      assert.equal(res.status, 401, `token ${token}`);
+      assert.equal(typeof res.body.error, 'string');
+    }
+    const register = await broker.request('POST', '/agents/register', { token: tokens.alpha, body: { agentId: 'x', name: 'x' } });
+    assert.equal(register.status, 401);
+    assert.equal((await broker.request('GET', '/agents', { token: tokens.alpha })).status, 200);
+  });
+
+  test('403 ao agir em nome de outro agente', async () => {
+    assert.equal((await broker.request('GET', '/messages/beta', { token: tokens.alpha })).status, 403);
+    assert.equal((await broker.request('POST', '/agents/beta/heartbeat', { token: tokens.alpha })).status, 403);
+    assert.equal((await broker.request('DELETE', '/agents/beta', { token: tokens.alpha })).status, 403);
+
+    // from vem do token, não do body
+    const sent = await broker.request('POST', '/messages/send', { token: tokens.alpha, body: { from: 'beta', to: 'beta', content: 'oi' } });
+    assert.equal(sent.status, 200);
+    const inbox = await broker.request('GET', '/messages/beta', { token: tokens.beta });
+    assert.equal(inbox.body.messages.at(-1).from, 'alpha');
+  });
+
+  test('409 ao re-registrar um agente vivo sem o token dele', async () => {
+    const body = { agentId: 'alpha', name: 'impostor' };
+    assert.equal((await broker.request('POST', '/agents/register', { token: SHARED, body })).status, 409);
+    const rotated = await broker.request('POST', '/agents/register', {
+      token: SHARED, body: { agentId: 'alpha', name: 'alpha' }, headers: { 'X-Agent-Token': tokens.alpha }
+    });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.token, tokens.alpha);
+    tokens.alpha = rotated.body.token;
+  });
+
+  test('contexto só é apagado por quem gravou ou pelo operador', async () => {
+    await broker.request('POST', '/context', { token: tokens.alpha, body: { key: 'cfg-a', value: 1 } });
+    await broker.request('POST', '/context', { token: tokens.beta, body: { key: 'cfg-b', value: 2 } });
+
+    assert.equal((await broker.request('DELETE', '/context/cfg-a', { token: tokens.beta })).status, 403);
+    const prefix = await broker.request('DELETE', '/context?prefix=cfg-', { token: tokens.beta });
+    assert.deepEqual(prefix.body, { ok: true, deleted: 1, skipped: 1 });
+    assert.equal((await broker.request('GET', '/context/cfg-a', { token: tokens.beta })).status, 200);
+
+    assert.equal((await broker.request('DELETE', '/context/cfg-a', { token: SHARED })).status, 200);
+    assert.equal((await broker.request('GET', '/context/cfg-a', { token: tokens.beta })).status, 404);
+  });
+
+  test('dashboard e /metrics usam tokens próprios', async () => {
+    assert.equal((await broker.request('GET', '/ui/api/overview', { token: SHARED })).status, 401);
+    assert.equal((await broker.request('GET', '/ui/api/overview', { token: tokens.alpha })).status, 401);
+    assert.equal((await broker.request('GET', '/ui/api/overview', { token: DASHBOARD })).status, 200);
+    assert.equal((await broker.request('GET', '/ui')).status, 200);
+
+    assert.equal((await broker.request('GET', '/metrics', { token: tokens.alpha })).status, 401);
+    assert.equal((await broker.request('GET', '/metrics', { token: SHARED })).status, 200);
+  });
+});
@@ -0,0 +1,87 @@
+// Utilitários dos testes: sobem o broker.js num processo filho, numa porta livre,
+// e falam com ele por HTTP (fetch)
+
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const BROKER_FILE = join(dirname(fileURLToPath(import.meta.url)), '..', 'broker.js');
+const START_TIMEOUT_MS = 10_000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+export function tempDir() {
+  return mkdtempSync(join(tmpdir(), 'skvil-test-'));
+}
+
+export function removeDir(dir) {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+// env: variáveis BROKER_* do teste (as do ambiente de quem roda são ignoradas).
+// O stdin fica aberto — o console do broker encerra o processo quando ele fecha.
+export async function startBroker(env = {}) {
+  const port = await freePort();
+  const baseEnv = Object.fromEntries(Object.entries(process.env).filter(([k]) => !k.startsWith('BROKER_')));
+  const child = spawn(process.execPath, [BROKER_FILE], {
+    env: { ...baseEnv, ...env, BROKER_PORT: String(port) },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`broker saiu ao iniciar:\n${output}`);
+    try {
+      await fetch(`${url}/status`);
+      break;
+    } catch {
+      if (Date.now() > deadline) {
+        child.kill('SIGKILL');
+        throw new Error(`broker não respondeu em ${START_TIMEOUT_MS}ms:\n${output}`);
+      }
+      await new Promise(r => setTimeout(r, 50));
+    }
+  }
+
+  return {
+    url,
+    output: () => output,
+    // SIGKILL simula uma queda: nada de compactação, o estado volta pelo journal
+    async stop(signal = 'SIGTERM') {
+      if (child.exitCode === null && child.signalCode === null) child.kill(signal);
+      await exited;
+    },
+    async request(method, path, { body, token, headers = {} } = {}) {
+      const res = await fetch(`${url}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...headers
+        },
+        ...(body !== undefined && { body: JSON.stringify(body) })
+      });
+      const text = await res.text();
+      let json = null;
+      try { json = JSON.parse(text); } catch { /* corpo não-JSON (ex: /metrics) */ }
+      return { status: res.status, body: json, text };
+    }
+  };
+}
@@ -0,0 +1,91 @@
+// Replay do journal: o broker é derrubado com SIGKILL (sem compactar) e o
+// estado tem de voltar só pelos eventos gravados
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeDir, startBroker, tempDir } from './helpers.js';
+
+describe('replay do journal', () => {
+  let dataDir;
+  let broker;
+
+  const restart = async () => {
+    await broker.stop('SIGKILL');
+    broker = await startBroker({ BROKER_DATA_DIR: dataDir });
+  };
+
+  before(async () => {
+    dataDir = tempDir();
+    broker = await startBroker({ BROKER_DATA_DIR: dataDir });
+    for (const agentId of ['alpha', 'beta', 'gamma']) {
+      const res = await broker.request('POST', '/agents/register', { body: { agentId, name: agentId } });
+      assert.equal(res.status, 200);
+    }
+  });
+
+  after(async () => {
+    await broker?.stop();
+    removeDir(dataDir);
+  });
+
+  test('schedule.put e schedule.delete', async () => {
+    const kept = await broker.request('POST', '/schedules', {
+      body: { from: 'alpha', to: 'beta', content: 'lembrete', delaySeconds: 3600 }
+    });
+    const cancelled = await broker.request('POST', '/schedules', {
+      body: { from: 'alpha', to: 'beta', content: 'cancelado', intervalSeconds: 600 }
+    });
+    assert.equal(kept.status, 200);
+    assert.equal(cancelled.status, 200);
+    assert.equal((await broker.request('DELETE', `/schedules/${cancelled.body.schedule.id}`)).status, 200);
+
+    await restart();
+
+    const { body } = await broker.request('GET', '/schedules?from=alpha');
+    assert.deepEqual(body.schedules.map(s => s.id), [kept.body.schedule.id]);
+    assert.equal(body.schedules[0].nextRunAt, kept.body.schedule.nextRunAt);
+  });
+
+  test('ctx.set com TTL e ctx.delete', async () => {
+    const short = await broker.request('POST', '/context', { body: { key: 'ttl-curto', value: 1, setBy: 'alpha', ttlSeconds: 1 } });
+    const long  = await broker.request('POST', '/context', { body: { key: 'ttl-longo', value: 2, setBy: 'alpha', ttlSeconds: 3600 } });
+    await broker.request('POST', '/context', { body: { key: 'apagada', value: 'v1', setBy: 'alpha' } });
+    await broker.request('POST', '/context', { body: { key: 'apagada', value: 'v2', setBy: 'alpha' } });
+    assert.equal((await broker.request('DELETE', '/context/apagada')).status, 200);
+    assert.equal(short.status, 200);
+
+    await new Promise(r => setTimeout(r, 1100));
+    await restart();
+
+    assert.equal((await broker.request('GET', '/context/ttl-curto')).status, 404);
+    const restored = await broker.request('GET', '/context/ttl-longo');
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.value, 2);
+    assert.equal(restored.body.expiresAt, long.body.expiresAt);
+    assert.equal((await broker.request('GET', '/context/apagada')).status, 404);
+
+    // A versão continua de onde parou, mesmo com a chave apagada antes da queda
+    const rewritten = await broker.request('POST', '/context', { body: { key: 'apagada', value: 'v3', setBy: 'alpha' } });
+    assert.equal(rewritten.body.version, 3);
+  });
+
+  test('agent.remove com e sem caixa postal', async () => {
+    assert.equal((await broker.request('DELETE', '/agents/beta')).status, 200);
+    assert.equal((await broker.request('DELETE', '/agents/gamma?purge=true')).status, 200);
+    const sent = await broker.request('POST', '/messages/send', { body: { from: 'alpha', to: 'beta', content: 'para quando voltar' } });
+    assert.equal(sent.status, 200);
+
+    await restart();
+
+    const { body } = await broker.request('GET', '/agents');
+    assert.ok(!body.agents.some(a => a.agentId === 'beta'));
+    assert.deepEqual(body.offline.map(a => [a.agentId, a.pendingMessages]), [['beta', 1]]);
+    assert.ok(![...body.agents, ...body.offline].some(a => a.agentId === 'gamma'));
+
+    // Ao voltar, beta recebe a fila intacta
+    const back = await broker.request('POST', '/agents/register', { body: { agentId: 'beta', name: 'beta' } });
+    assert.equal(back.body.pendingMessages, 1);
+    const inbox = await broker.request('GET', '/messages/beta');
+    assert.deepEqual(inbox.body.messages.map(m => m.content), ['para quando voltar']);
+  });
+});
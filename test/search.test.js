@@ -0,0 +1,77 @@
+// Busca: ranking (frase exata e termos raros primeiro), snippets no texto
+// original e cópias de broadcast
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBroker } from './helpers.js';
+
+describe('busca', () => {
+  let broker;
+  const send = (to, content) => broker.request('POST', '/messages/send', { body: { from: 'alpha', to, content } });
+  const search = async (query) => (await broker.request('GET', `/search?${new URLSearchParams(query)}`)).body;
+
+  before(async () => {
+    broker = await startBroker();
+    for (const agentId of ['alpha', 'beta', 'gamma']) {
+      await broker.request('POST', '/agents/register', { body: { agentId, name: agentId } });
+    }
+  });
+
+  after(() => broker?.stop());
+
+  test('frase exata vem antes dos termos separados', async () => {
+    await send('beta', 'O token expirou; refresh manual no painel');
+    await send('beta', 'Implementei o refresh token com rotação');
+    await send('beta', 'Sem relação nenhuma com a busca');
+
+    const { results, total } = await search({ q: 'refresh token' });
+    assert.equal(total, 2);
+    assert.match(results[0].snippet, /refresh token com rotação/);
+    assert.ok(results[0].score > results[1].score);
+  });
+
+  test('prefixo conta menos que a palavra exata', async () => {
+    await send('gamma', 'deploy amanhã');
+    await send('gamma', 'deployment amanhã');
+
+    const { results } = await search({ q: 'deploy' });
+    assert.deepEqual(results.map(r => r.snippet), ['deploy amanhã', 'deployment amanhã']);
+  });
+
+  test('snippet recortado em volta do termo, com acentos do original', async () => {
+    const filler = 'lorem ipsum '.repeat(40);
+    await send('beta', `${filler}a Configuração do índice mudou ${filler}`);
+
+    const { results } = await search({ q: 'configuracao indice' });
+    assert.equal(results.length, 1);
+    const { snippet } = results[0];
+    assert.ok(snippet.startsWith('...') && snippet.endsWith('...'));
+    assert.match(snippet, /Configuração do índice mudou/);
+    // 60 caracteres antes do termo e 140 a partir dele, mais as reticências
+    assert.ok(snippet.length <= 206);
+    assert.ok(Math.abs(snippet.indexOf('Configuração') - 63) <= 2);
+  });
+
+  test('broadcast aparece uma vez por destinatário, com o mesmo snippet', async () => {
+    await broker.request('POST', '/messages/broadcast', { body: { from: 'alpha', content: 'janela de manutenção às 22h' } });
+
+    const { results } = await search({ q: 'manutencao', scope: 'messages' });
+    assert.deepEqual(results.map(r => r.to).sort(), ['beta', 'gamma']);
+    assert.equal(new Set(results.map(r => r.snippet)).size, 1);
+    assert.equal(results[0].score, results[1].score);
+  });
+
+  test('filtros de escopo e remetente', async () => {
+    await broker.request('POST', '/context', { body: { key: 'notas', value: 'manutenção adiada', setBy: 'beta' } });
+
+    const context = await search({ q: 'manutencao', scope: 'context' });
+    assert.deepEqual(context.results.map(r => [r.kind, r.key]), [['context', 'notas']]);
+    assert.equal((await search({ q: 'manutencao', from: 'beta' })).total, 1);
+    assert.equal((await search({ q: 'manutencao' })).total, 3);
+  });
+
+  test('400 para consulta vazia ou sem letras', async () => {
+    assert.equal((await broker.request('GET', '/search')).status, 400);
+    assert.equal((await broker.request('GET', '/search?q=%20!!%20')).status, 400);
+  });
+});